@@ -0,0 +1,339 @@
+// ============================================
+// AI PROVIDER REGISTRY
+// ============================================
+//
+// Every provider exposes the same `generate` call so the IPC handlers never
+// talk to a vendor API directly:
+//
+//   provider.generate({ model, system, prompt, images, temperature, schema, signal, onToken })
+//     -> Promise<string>
+//   provider.listModels?.() -> Promise<string[]>   (optional: installed models)
+//
+// `images` is a list of { mimeType, data } with raw base64 data (see toImagePart).
+// Passing `onToken` switches the provider to streaming; it is called with each
+// text chunk as it arrives and the full text is still returned at the end.
+// `schema` (a JSON schema) asks the provider to constrain its output to JSON of
+// that shape; callers must still validate the result.
+//
+// Each task type is routed to a provider + model. Defaults live in
+// defaultTaskRoutes() and can be overridden from the environment, e.g.
+//   AI_ROUTE_PAGE_BUILD=ollama:qwen2.5-coder:7b
+//   AI_ROUTE_BUILD_PLAN=openai:qwen2-vl-7b-instruct
+// (everything after the first ":" is the model name).
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Env is read lazily: main.js calls dotenv.config() after its imports are evaluated.
+const getOllamaBaseUrl = () => (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+const getOpenAIBaseUrl = () => (process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1').replace(/\/+$/, '');
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+export const normalizeGeminiModel = value => (value || '').replace(/^models\//i, '') || 'gemini-1.5-flash';
+
+// Helper for exponential backoff
+export const fetchWithRetry = async (url, options, retries = 3, backoff = 1000) => {
+  try {
+    const res = await fetch(url, options);
+    if (res.status === 503 && retries > 0) {
+      console.warn(`[AI] 503 Service Unavailable. Retrying in ${backoff}ms... (${retries} retries left)`);
+      await delay(backoff);
+      return fetchWithRetry(url, options, retries - 1, backoff * 2);
+    }
+    return res;
+  } catch (error) {
+    // Never retry a request the user cancelled
+    if (retries > 0 && !options?.signal?.aborted) {
+      console.warn(`[AI] Fetch error: ${error.message}. Retrying in ${backoff}ms... (${retries} retries left)`);
+      await delay(backoff);
+      return fetchWithRetry(url, options, retries - 1, backoff * 2);
+    }
+    throw error;
+  }
+};
+
+// Normalise a data URL or raw base64 string into an image part for generate()
+export const toImagePart = (imageBase64, mimeType) => {
+  const data = imageBase64.includes(',') ? imageBase64.split(',')[1] : imageBase64;
+  const inferredMime = mimeType || imageBase64.match(/^data:(.*?);base64,/i)?.[1] || 'image/png';
+  return { mimeType: inferredMime, data };
+};
+
+// Read a streamed response body line by line (NDJSON / SSE)
+const readLines = async (body, onLine) => {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline = buffer.indexOf('\n');
+    while (newline !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) onLine(line);
+      newline = buffer.indexOf('\n');
+    }
+  }
+  if (buffer.trim()) onLine(buffer.trim());
+};
+
+const ollamaProvider = {
+  id: 'ollama',
+  label: 'Ollama',
+  capabilities: { vision: true, streaming: true },
+  async generate({ model, system, prompt, images = [], temperature, schema, signal, onToken }) {
+    const payload = { model, prompt, stream: Boolean(onToken) };
+    if (system) payload.system = system;
+    if (images.length > 0) payload.images = images.map(image => image.data);
+    if (temperature !== undefined) payload.options = { temperature };
+    if (schema) payload.format = schema;
+
+    const res = await fetch(`${getOllamaBaseUrl()}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Ollama error ${res.status}: ${text}`);
+    }
+
+    if (!onToken) {
+      const data = await res.json();
+      return data?.response || '';
+    }
+
+    let text = '';
+    await readLines(res.body, line => {
+      const chunk = JSON.parse(line);
+      if (chunk.error) throw new Error(`Ollama error: ${chunk.error}`);
+      if (chunk.response) {
+        text += chunk.response;
+        onToken(chunk.response);
+      }
+    });
+    return text;
+  },
+  async listModels() {
+    const res = await fetch(`${getOllamaBaseUrl()}/api/tags`);
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Ollama error ${res.status}: ${text}`);
+    }
+    const data = await res.json();
+    return (data?.models || []).map(m => m.name).filter(Boolean).sort();
+  }
+};
+
+// Gemini's responseSchema spells types in upper case (OBJECT, STRING, ...)
+const toGeminiSchema = schema => {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+    key,
+    key === 'type' && typeof value === 'string' ? value.toUpperCase() : toGeminiSchema(value)
+  ]));
+};
+
+const geminiProvider = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  capabilities: { vision: true, streaming: true },
+  async generate({ model, system, prompt, images = [], temperature, schema, signal, onToken }) {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      throw new Error('Missing GEMINI_API_KEY in environment.');
+    }
+
+    const payload = {
+      contents: [{
+        role: 'user',
+        parts: [
+          ...images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } })),
+          { text: prompt }
+        ]
+      }]
+    };
+    if (system) payload.systemInstruction = { parts: [{ text: system }] };
+    if (temperature !== undefined || schema) payload.generationConfig = {};
+    if (temperature !== undefined) payload.generationConfig.temperature = temperature;
+    if (schema) {
+      payload.generationConfig.responseMimeType = 'application/json';
+      payload.generationConfig.responseSchema = toGeminiSchema(schema);
+    }
+
+    const method = onToken ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    const urlToCall = `${GEMINI_API_BASE}/${encodeURIComponent(normalizeGeminiModel(model))}:${method}key=${encodeURIComponent(apiKey)}`;
+
+    const res = await fetchWithRetry(urlToCall, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Gemini error ${res.status}: ${text}`);
+    }
+
+    // Whole responses keep their parts on separate lines; streamed chunks are fragments of one text
+    const collectText = (data, separator) => (data?.candidates?.[0]?.content?.parts || [])
+      .map(p => p.text || '')
+      .join(separator);
+
+    if (!onToken) {
+      const data = await res.json();
+      return collectText(data, '\n').trim();
+    }
+
+    let text = '';
+    await readLines(res.body, line => {
+      if (!line.startsWith('data:')) return;
+      const chunk = collectText(JSON.parse(line.slice(5)), '');
+      if (chunk) {
+        text += chunk;
+        onToken(chunk);
+      }
+    });
+    return text.trim();
+  }
+};
+
+// Any server speaking the OpenAI /v1/chat/completions protocol
+// (llama.cpp server, LM Studio, vLLM, ...). Images are sent as vision content parts.
+const openAICompatibleProvider = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  capabilities: { vision: true, streaming: true },
+  async generate({ model, system, prompt, images = [], temperature, schema, signal, onToken }) {
+    const messages = [];
+    if (system) messages.push({ role: 'system', content: system });
+    messages.push({
+      role: 'user',
+      content: images.length > 0
+        ? [
+          { type: 'text', text: prompt },
+          ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }))
+        ]
+        : prompt
+    });
+
+    const payload = { model, messages, stream: Boolean(onToken) };
+    if (temperature !== undefined) payload.temperature = temperature;
+    if (schema) payload.response_format = { type: 'json_schema', json_schema: { name: 'response', schema } };
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+    const res = await fetchWithRetry(`${getOpenAIBaseUrl()}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`OpenAI-compatible error ${res.status}: ${text}`);
+    }
+
+    if (!onToken) {
+      const data = await res.json();
+      return data?.choices?.[0]?.message?.content || '';
+    }
+
+    let text = '';
+    await readLines(res.body, line => {
+      if (!line.startsWith('data:')) return;
+      const body = line.slice(5).trim();
+      if (body === '[DONE]') return;
+      const chunk = JSON.parse(body)?.choices?.[0]?.delta?.content;
+      if (chunk) {
+        text += chunk;
+        onToken(chunk);
+      }
+    });
+    return text;
+  }
+};
+
+const providers = new Map();
+
+export const registerProvider = provider => {
+  providers.set(provider.id, provider);
+};
+
+export const getProvider = id => {
+  const provider = providers.get(id);
+  if (!provider) {
+    throw new Error(`Unknown AI provider "${id}".`);
+  }
+  return provider;
+};
+
+export const listProviderModels = async id => {
+  const provider = getProvider(id);
+  if (!provider.listModels) {
+    throw new Error(`${provider.label} cannot list its models.`);
+  }
+  return provider.listModels();
+};
+
+export const listProviders = () =>
+  [...providers.values()].map(({ id, label, capabilities }) => ({ id, label, capabilities }));
+
+registerProvider(ollamaProvider);
+registerProvider(geminiProvider);
+registerProvider(openAICompatibleProvider);
+
+// Task routing. Overrides come from (lowest to highest priority) the environment
+// and the project's .visualise-settings.json `aiModels` map (see main.js).
+const OLLAMA_VISION_MODEL = 'bsahane/Qwen2.5-VL-7B-Instruct:Q4_K_M_benxh';
+const OLLAMA_BUILD_MODEL = 'qwen2.5-coder:7b';
+
+const defaultTaskRoutes = () => {
+  const geminiModel = normalizeGeminiModel(process.env.GEMINI_MODEL || 'gemini-1.5-flash');
+  return {
+    'image-analysis': { provider: 'gemini', model: geminiModel },
+    'image-analysis-local': { provider: 'ollama', model: OLLAMA_VISION_MODEL },
+    'component-build': { provider: 'ollama', model: OLLAMA_BUILD_MODEL },
+    'element-edit': { provider: 'ollama', model: OLLAMA_BUILD_MODEL },
+    'build-plan': { provider: 'gemini', model: geminiModel },
+    'page-build': { provider: 'gemini', model: geminiModel },
+    'tweak': { provider: 'gemini', model: geminiModel },
+    'visual-check': { provider: 'gemini', model: geminiModel }
+  };
+};
+
+export const AI_TASKS = Object.keys(defaultTaskRoutes());
+
+// "provider:model" -> { provider, model }
+export const parseRouteSpec = spec => {
+  if (!spec) return {};
+  const separator = spec.indexOf(':');
+  if (separator === -1) return { provider: spec.trim() };
+  return { provider: spec.slice(0, separator).trim(), model: spec.slice(separator + 1).trim() };
+};
+
+export const resolveTaskRoute = (task, overrides = {}) => {
+  const fallback = defaultTaskRoutes()[task];
+  if (!fallback) {
+    throw new Error(`Unknown AI task "${task}".`);
+  }
+  const envKey = `AI_ROUTE_${task.toUpperCase().replace(/-/g, '_')}`;
+  const route = { ...fallback, ...parseRouteSpec(process.env[envKey]) };
+  if (overrides.provider) route.provider = overrides.provider;
+  if (overrides.model) route.model = overrides.model;
+  return route;
+};
+
+// Run a generation request through whichever provider the task is routed to
+export const generateForTask = (task, options, overrides) => {
+  const route = resolveTaskRoute(task, overrides);
+  const provider = getProvider(route.provider);
+  if (options.images?.length > 0 && !provider.capabilities.vision) {
+    throw new Error(`${provider.label} does not support image input (task "${task}").`);
+  }
+  return provider.generate({ ...options, model: route.model });
+};
@@ -0,0 +1,157 @@
+// ============================================
+// STRUCTURED BUILD PLANS
+// ============================================
+//
+// The "build-plan" task returns JSON matching BUILD_PLAN_SCHEMA instead of a
+// free-text summary + prompt. Providers that support structured output are
+// constrained to the schema; the result is always re-validated here because
+// local models do not always honour it.
+//
+//   {
+//     summary: string,                // user-facing overview
+//     files: [{
+//       path, purpose, spec,          // spec = detailed instructions for the code generator
+//       reusedComponents: string[],
+//       newComponents: string[],
+//       assets: string[],
+//       notes
+//     }],
+//     notes: string                   // plan-wide notes (responsiveness, interactions, ...)
+//   }
+
+const stringList = description => ({ type: 'array', items: { type: 'string' }, description });
+
+// Kept to the JSON-schema subset every provider understands (no additionalProperties, no $ref)
+export const BUILD_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', description: 'Short user-facing overview of the design and the approach.' },
+    files: {
+      type: 'array',
+      description: 'Every file that will be created or overwritten.',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Path relative to the project root, e.g. src/components/Hero.jsx.' },
+          purpose: { type: 'string', description: 'One sentence explaining what the file is for.' },
+          spec: { type: 'string', description: 'Detailed plain-text specification for the code generator.' },
+          reusedComponents: stringList('Existing project components this file reuses.'),
+          newComponents: stringList('New components this file introduces.'),
+          assets: stringList('Image paths from the project image bank used by this file.'),
+          notes: { type: 'string', description: 'Anything else the developer should know about this file.' }
+        },
+        required: ['path', 'purpose', 'spec', 'reusedComponents', 'newComponents', 'assets', 'notes']
+      }
+    },
+    notes: { type: 'string', description: 'Plan-wide notes such as breakpoints or interactivity.' }
+  },
+  required: ['summary', 'files', 'notes']
+};
+
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Returns a list of human-readable problems; empty when the plan is usable
+export const validateBuildPlan = plan => {
+  const errors = [];
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    return ['Plan is not a JSON object.'];
+  }
+  if (typeof plan.summary !== 'string' || !plan.summary.trim()) {
+    errors.push('"summary" must be a non-empty string.');
+  }
+  if (plan.notes !== undefined && typeof plan.notes !== 'string') {
+    errors.push('"notes" must be a string.');
+  }
+  if (!Array.isArray(plan.files) || plan.files.length === 0) {
+    errors.push('"files" must list at least one file.');
+    return errors;
+  }
+
+  const seen = new Set();
+  plan.files.forEach((file, index) => {
+    const label = `files[${index}]`;
+    if (!file || typeof file !== 'object') {
+      errors.push(`${label} is not an object.`);
+      return;
+    }
+    if (typeof file.path !== 'string' || !file.path.trim()) {
+      errors.push(`${label}.path must be a non-empty string.`);
+    } else if (seen.has(file.path.trim())) {
+      errors.push(`${label}.path "${file.path}" is listed more than once.`);
+    } else {
+      seen.add(file.path.trim());
+    }
+    ['purpose', 'spec'].forEach(key => {
+      if (typeof file[key] !== 'string' || !file[key].trim()) {
+        errors.push(`${label}.${key} must be a non-empty string.`);
+      }
+    });
+    ['reusedComponents', 'newComponents', 'assets'].forEach(key => {
+      if (file[key] !== undefined && !isStringList(file[key])) {
+        errors.push(`${label}.${key} must be a list of strings.`);
+      }
+    });
+    if (file.notes !== undefined && typeof file.notes !== 'string') {
+      errors.push(`${label}.notes must be a string.`);
+    }
+  });
+  return errors;
+};
+
+// Fill optional fields so the renderer never has to null-check them
+const normalizeBuildPlan = plan => ({
+  summary: plan.summary.trim(),
+  notes: (plan.notes || '').trim(),
+  files: plan.files.map(file => ({
+    path: file.path.trim(),
+    purpose: file.purpose.trim(),
+    spec: file.spec.trim(),
+    reusedComponents: file.reusedComponents || [],
+    newComponents: file.newComponents || [],
+    assets: file.assets || [],
+    notes: (file.notes || '').trim()
+  }))
+});
+
+// Parse a model response into a validated plan. Throws with the validation
+// problems listed so the renderer can show why the plan was rejected.
+export const parseBuildPlan = text => {
+  // Tolerate code fences or chatter around the JSON object
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('The AI did not return a JSON build plan. Please try again.');
+  }
+
+  let plan;
+  try {
+    plan = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`The AI returned malformed JSON for the build plan (${error.message}). Please try again.`);
+  }
+
+  const errors = validateBuildPlan(plan);
+  if (errors.length > 0) {
+    throw new Error(`The AI returned an invalid build plan:\n- ${errors.join('\n- ')}`);
+  }
+  return normalizeBuildPlan(plan);
+};
+
+// Render the plan as the plain-text specification execute-build sends to the code generator
+export const formatBuildPlanForPrompt = plan => {
+  const fileSections = plan.files.map(file => {
+    const lines = [`FILE: ${file.path}`, `Purpose: ${file.purpose}`];
+    if (file.reusedComponents?.length > 0) lines.push(`Reuse existing components: ${file.reusedComponents.join(', ')}`);
+    if (file.newComponents?.length > 0) lines.push(`New components: ${file.newComponents.join(', ')}`);
+    if (file.assets?.length > 0) lines.push(`Assets: ${file.assets.join(', ')}`);
+    lines.push('Specification:', file.spec);
+    if (file.notes) lines.push(`Notes: ${file.notes}`);
+    return lines.join('\n');
+  });
+
+  return [
+    `Overview: ${plan.summary}`,
+    plan.notes ? `General notes: ${plan.notes}` : '',
+    ...fileSections
+  ].filter(Boolean).join('\n\n');
+};
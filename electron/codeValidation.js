@@ -0,0 +1,136 @@
+// ============================================
+// GENERATED CODE VALIDATION
+// ============================================
+//
+// Syntax-checks model output before it reaches the preview or the disk:
+//   .js/.jsx/.ts/.tsx   -> @babel/parser
+//   .html               -> parse5 (plus inline <script>/<style> blocks)
+//   .css                -> postcss
+//   .vue/.svelte        -> their <script>/<style> blocks
+// validateSource() returns { status: 'valid' | 'invalid' | 'skipped', errors }
+// where errors are { line, column, message } with 1-based lines.
+
+import { parse as parseBabel } from '@babel/parser';
+import { parse as parseHtml } from 'parse5';
+import postcss from 'postcss';
+
+// Parse errors every HTML fragment produces; not worth a repair round
+const IGNORED_HTML_ERRORS = new Set(['missing-doctype']);
+
+const getExtension = fileName => (fileName || '').split('.').pop().toLowerCase();
+
+const babelPluginsFor = extension => {
+  if (extension === 'ts') return ['typescript'];
+  if (extension === 'tsx') return ['typescript', 'jsx'];
+  return ['jsx'];
+};
+
+const checkScript = (code, extension, lineOffset = 0) => {
+  const toError = error => ({
+    line: (error.loc?.line || 1) + lineOffset,
+    column: (error.loc?.column || 0) + 1,
+    message: error.message.replace(/\s*\(\d+:\d+\)$/, '')
+  });
+  try {
+    const ast = parseBabel(code, {
+      sourceType: 'module',
+      errorRecovery: true,
+      plugins: babelPluginsFor(extension)
+    });
+    return (ast.errors || []).map(toError);
+  } catch (error) {
+    return [toError(error)];
+  }
+};
+
+const checkStyle = (code, lineOffset = 0) => {
+  try {
+    postcss.parse(code);
+    return [];
+  } catch (error) {
+    return [{ line: (error.line || 1) + lineOffset, column: error.column || 1, message: error.reason || error.message }];
+  }
+};
+
+// Walk the parse5 tree and check inline scripts and styles with their own parsers
+const checkEmbeddedBlocks = (node, errors) => {
+  (node.childNodes || []).forEach(child => {
+    const location = child.sourceCodeLocation;
+    const text = (child.childNodes || []).filter(n => n.nodeName === '#text').map(n => n.value).join('');
+    const attrs = Object.fromEntries((child.attrs || []).map(attr => [attr.name, attr.value]));
+    const lineOffset = (location?.startTag?.endLine || 1) - 1;
+
+    if (child.nodeName === 'script' && !attrs.src && text.trim()) {
+      const type = (attrs.type || '').toLowerCase();
+      if (!type || type === 'module' || type.includes('javascript') || type === 'text/babel') {
+        errors.push(...checkScript(text, type === 'text/babel' ? 'jsx' : 'js', lineOffset));
+      }
+    } else if (child.nodeName === 'style' && text.trim()) {
+      errors.push(...checkStyle(text, lineOffset));
+    }
+    if (child.nodeName === 'template' && child.content) checkEmbeddedBlocks(child.content, errors);
+    checkEmbeddedBlocks(child, errors);
+  });
+};
+
+const checkHtml = code => {
+  const errors = [];
+  const document = parseHtml(code, {
+    sourceCodeLocationInfo: true,
+    onParseError: error => {
+      if (IGNORED_HTML_ERRORS.has(error.code)) return;
+      errors.push({ line: error.startLine, column: error.startCol, message: `HTML parse error: ${error.code}` });
+    }
+  });
+  checkEmbeddedBlocks(document, errors);
+  return errors;
+};
+
+// Vue / Svelte single-file components: check the script and plain-CSS style blocks
+const checkSingleFileComponent = code => {
+  const errors = [];
+  const blockPattern = /<(script|style)([^>]*)>([\s\S]*?)<\/\1>/gi;
+  let match;
+  while ((match = blockPattern.exec(code)) !== null) {
+    const [, tag, attrs, body] = match;
+    const lineOffset = code.slice(0, match.index + match[0].indexOf('>') + 1).split('\n').length - 1;
+    const lang = attrs.match(/lang=["']?(\w+)/i)?.[1]?.toLowerCase();
+    if (tag.toLowerCase() === 'script') {
+      errors.push(...checkScript(body, lang === 'ts' ? 'ts' : lang === 'tsx' ? 'tsx' : 'jsx', lineOffset));
+    } else if (!lang || lang === 'css') {
+      errors.push(...checkStyle(body, lineOffset));
+    }
+  }
+  return errors;
+};
+
+export const validateSource = (code, fileName) => {
+  const extension = getExtension(fileName);
+  let errors;
+  switch (extension) {
+    case 'js':
+    case 'jsx':
+    case 'mjs':
+    case 'ts':
+    case 'tsx':
+      errors = checkScript(code, extension);
+      break;
+    case 'html':
+    case 'htm':
+      errors = checkHtml(code);
+      break;
+    case 'css':
+      errors = checkStyle(code);
+      break;
+    case 'vue':
+    case 'svelte':
+      errors = checkSingleFileComponent(code);
+      break;
+    default:
+      return { status: 'skipped', errors: [] };
+  }
+  return { status: errors.length > 0 ? 'invalid' : 'valid', errors };
+};
+
+export const formatValidationErrors = errors =>
+  errors.slice(0, 10).map(error => `- Line ${error.line}, column ${error.column}: ${error.message}`).join('\n');
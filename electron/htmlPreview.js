@@ -0,0 +1,18 @@
+// ============================================
+// HTML FRAGMENT PREVIEWS
+// ============================================
+//
+// Generated HTML is often a fragment. The renderer's previews and the main
+// process's captures (visual check, variation scoring) wrap it in the same
+// page, so what gets scored looks like what the user sees. No Node or
+// Electron imports: the renderer imports this module too.
+
+const FRAGMENT_PAGE_STYLE = 'body{margin:0;padding:16px;background:#0b0d12;color:#f5f5f7;font-family:Segoe UI,system-ui,sans-serif;} *{box-sizing:border-box;}';
+
+// A full document for `code`; code that already is one (has <html>) is kept as it is
+export const wrapHtmlFragment = code => {
+  if (!code) return '';
+  return code.includes('<html')
+    ? code
+    : `<html><head><style>${FRAGMENT_PAGE_STYLE}</style></head><body>${code}</body></html>`;
+};
@@ -1,4 +1,4 @@
-import { app, BrowserWindow, dialog, ipcMain } from 'electron';
+import { app, BrowserWindow, dialog, ipcMain, nativeImage } from 'electron';
 import path from 'path';
 import url from 'url';
 import fs from 'fs/promises';
@@ -9,9 +9,24 @@ import getPort from 'get-port';
 import http from 'http';
 import https from 'https';
 import { spawn } from 'child_process';
+import { createHash, randomUUID } from 'crypto';
 import dotenv from 'dotenv';
+import { AI_TASKS, generateForTask, listProviderModels, parseRouteSpec, resolveTaskRoute, toImagePart } from './aiProviders.js';
+import { BUILD_PLAN_SCHEMA, formatBuildPlanForPrompt, parseBuildPlan, validateBuildPlan } from './buildPlan.js';
+import { TWEAK_SCHEMA, applyTweakEdits, parseTweakResponse, rankTweakCandidates } from './tweaks.js';
+import { formatValidationErrors, validateSource } from './codeValidation.js';
+import { compareBitmaps, similarityScore, visualCompareGeometry } from './visualDiff.js';
+import { handlePreviewRuntimeProtocol, registerPreviewRuntimeScheme } from './previewRuntime.js';
+import { bundlePreview, renderPreviewDocument, renderPreviewErrorDocument } from './previewBundler.js';
+import { PROMPT_STYLES, describeVariationOptions, planVariations } from './variations.js';
+import { combineScores, rankVariations, scoreParse, scoreRenderedSize, scoreTokenCompliance } from './variationScoring.js';
+import { applyElementStyles } from './styleEdits.js';
+import { applyElementText } from './textEdits.js';
+import { wrapHtmlFragment } from './htmlPreview.js';
+import { instrumentSource, replaceSpans, resolveSourceSpans } from './sourceLocations.js';
 
 app.commandLine.appendSwitch('disable-features', 'AutofillServerCommunication,Autofill');
+registerPreviewRuntimeScheme();
 dotenv.config();
 
 const isDev = process.env.NODE_ENV === 'development';
@@ -19,15 +34,10 @@ const openDevTools = process.env.OPEN_DEVTOOLS === 'true';
 
 let mainWindow;
 
-const IGNORED_DIRECTORIES = new Set(['.git', '.vscode', 'node_modules']);
+const IGNORED_DIRECTORIES = new Set(['.git', '.vscode', 'node_modules', '.visualise']);
 const terminals = new Map();
 let nextTerminalId = 1;
 
-const OLLAMA_MODEL = 'bsahane/Qwen2.5-VL-7B-Instruct:Q4_K_M_benxh';
-const OLLAMA_BUILD_MODEL = 'qwen2.5-coder:7b';
-const normalizeGeminiModel = value => (value || '').replace(/^models\//i, '') || 'gemini-1.5-flash';
-const GEMINI_MODEL = normalizeGeminiModel(process.env.GEMINI_MODEL || 'gemini-1.5-flash');
-const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
 const DEFAULT_SYSTEM_PROMPT = `
 You are an expert UI/UX Technical Analyst specializing in Design Systems. Your goal is to analyze a UI screenshot of a single component and reverse-engineer it into a purely visual technical specification.
 
@@ -192,6 +202,387 @@ const stopDevProcess = async () => {
   devProcessInfo = null;
 };
 
+// ============================================
+// WORKSPACE GUARD
+// ============================================
+// File handlers only touch paths inside the folder picked in select-folder.
+// `..` segments and symlinks are resolved before the check, so neither a
+// renderer bug nor a model-invented path ("/etc/hosts", "../../x") can escape.
+// The renderer cannot turn the guard off. File actions the user starts (the
+// project tree, saving an open file) may reach outside paths once the user
+// confirms them in a native dialog (assertWorkspaceAccess); anything built from
+// model output only ever uses assertInsideWorkspace.
+
+let workspaceRoot = null; // Real path of the open project folder
+const approvedOutsidePaths = new Set(); // Outside real paths the user allowed for this project
+
+// Resolve symlinks; for paths that do not exist yet, resolve the nearest existing ancestor
+const resolveRealPath = async targetPath => {
+  const missing = [];
+  let current = path.resolve(targetPath);
+  for (;;) {
+    try {
+      return path.join(await fs.realpath(current), ...missing);
+    } catch (error) {
+      const parent = path.dirname(current);
+      if (error.code !== 'ENOENT' || parent === current) throw error;
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+};
+
+const isInsideWorkspace = async targetPath => {
+  if (!workspaceRoot || !targetPath) return false;
+  const relative = path.relative(workspaceRoot, await resolveRealPath(targetPath));
+  return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+};
+
+// Throws (and so fails the IPC call) unless the path is inside the open project
+const assertInsideWorkspace = async targetPath => {
+  if (!workspaceRoot) {
+    throw new Error('No project folder is open.');
+  }
+  if (!(await isInsideWorkspace(targetPath))) {
+    throw new Error(`Refusing to access "${targetPath}": it is outside the open project folder.`);
+  }
+};
+
+// assertInsideWorkspace, except that an outside path can be allowed by the user.
+// `action` completes "Allow ... outside the project folder?" (e.g. 'saving a file').
+const assertWorkspaceAccess = async (targetPath, action) => {
+  if (!workspaceRoot) {
+    throw new Error('No project folder is open.');
+  }
+  if (await isInsideWorkspace(targetPath)) return;
+
+  const realPath = await resolveRealPath(targetPath);
+  if (approvedOutsidePaths.has(realPath)) return;
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    buttons: ['Cancel', 'Allow'],
+    defaultId: 0,
+    cancelId: 0,
+    message: `Allow ${action} outside the project folder?`,
+    detail: realPath
+  });
+  if (response !== 1) {
+    throw new Error(`Refusing to access "${targetPath}": it is outside the open project folder.`);
+  }
+  approvedOutsidePaths.add(realPath);
+};
+
+const SETTINGS_FILENAME = '.visualise-settings.json';
+
+// Raw project settings, regardless of whether the design system is enabled
+const loadProjectSettings = async folderPath => {
+  if (!folderPath) return null;
+  try {
+    const content = await fs.readFile(path.join(folderPath, SETTINGS_FILENAME), 'utf-8');
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+};
+
+// Generate for a task, honouring the per-project model choices (`aiModels`) in the settings file
+const generateForProjectTask = async (folderPath, task, options) => {
+  const settings = await loadProjectSettings(folderPath);
+  return generateForTask(task, options, settings?.aiModels?.[task]);
+};
+
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Syntax-check generated code and, while it does not parse, send the errors back
+// to the model for a fixed version. Keeps the attempt with the fewest errors.
+// Returns { code, validation: { status, errors, attempts } }.
+const validateAndRepair = async ({ folderPath, task, code, fileName, signal, onAttempt }) => {
+  let best = { code, validation: validateSource(code, fileName) };
+  let attempts = 0;
+
+  while (best.validation.status === 'invalid' && attempts < MAX_REPAIR_ATTEMPTS) {
+    attempts++;
+    onAttempt?.(attempts);
+    const prompt = `The following file "${path.basename(fileName)}" does not parse.
+
+**Syntax errors:**
+${formatValidationErrors(best.validation.errors)}
+
+**File:**
+${best.code}
+
+Fix ONLY the syntax errors. Keep everything else exactly the same.
+Return ONLY the complete corrected file, no markdown fences, no commentary.`;
+
+    let repaired;
+    try {
+      repaired = stripCodeFences((await generateForProjectTask(folderPath, task, { prompt, temperature: 0, signal })).trim());
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      // eslint-disable-next-line no-console
+      console.warn('[main] repair attempt failed', error.message);
+      break;
+    }
+
+    const validation = validateSource(repaired, fileName);
+    if (validation.errors.length < best.validation.errors.length) {
+      best = { code: repaired, validation };
+    }
+  }
+
+  return { code: best.code, validation: { ...best.validation, attempts } };
+};
+
+// Push streamed model output to the renderer that started the request (see onAiStream in preload)
+const createStreamEmitter = (sender, requestId) => payload => {
+  if (!requestId || sender.isDestroyed()) return;
+  try {
+    sender.send('ai-stream', { requestId, ...payload });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('[main] ai-stream send error', err);
+  }
+};
+
+// In-flight AI requests by requestId, so 'cancel-ai-request' can abort their fetches
+const activeRequests = new Map();
+
+const trackRequest = requestId => {
+  const controller = new AbortController();
+  if (requestId) activeRequests.set(requestId, controller);
+  return {
+    signal: controller.signal,
+    release: () => {
+      if (activeRequests.get(requestId) === controller) activeRequests.delete(requestId);
+    }
+  };
+};
+
+const isAbortError = error => error?.name === 'AbortError';
+
+// File contents, or null when the file does not exist yet
+const readFileIfExists = async filePath => {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// ============================================
+// BUILD JOURNAL
+// ============================================
+// Every build that writes files records what it touched in
+// .visualise/builds/<id>.json so 'undo-build' can put the project back:
+//   { id, createdAt, files: [{ path, previous, writtenHash }], createdDirs: [] }
+// `previous` is null for files the build created; `writtenHash` identifies what
+// the build wrote, so undo can tell when a file was edited after the build.
+
+const BUILD_JOURNAL_DIR = path.join('.visualise', 'builds');
+
+const hashContent = content => createHash('sha256').update(content, 'utf-8').digest('hex');
+
+const getBuildJournalPath = (folderPath, buildId) => path.join(folderPath, BUILD_JOURNAL_DIR, `${buildId}.json`);
+
+// Directories between `dir` and the project root that do not exist yet, deepest first
+const findMissingDirs = async (dir, folderPath) => {
+  const missing = [];
+  let current = dir;
+  while (current.startsWith(folderPath) && current !== folderPath) {
+    try {
+      await fs.access(current);
+      break;
+    } catch {
+      missing.push(path.relative(folderPath, current));
+      current = path.dirname(current);
+    }
+  }
+  return missing;
+};
+
+// Write build output and journal it. `files` are { path (relative), content, previous }.
+// A failed write stops the build but does not throw: the files written so far are
+// journaled and returned with `error`, so a half-applied build can still be undone.
+const writeJournaledBuild = async (folderPath, files) => {
+  const buildId = `${Date.now()}-${randomUUID().slice(0, 8)}`;
+  const journal = { id: buildId, createdAt: new Date().toISOString(), files: [], createdDirs: [] };
+  const written = [];
+  let writeError = null;
+
+  try {
+    for (const file of files) {
+      const fullPath = path.join(folderPath, file.path);
+      const missingDirs = await findMissingDirs(path.dirname(fullPath), folderPath);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      journal.createdDirs.push(...missingDirs);
+      await fs.writeFile(fullPath, file.content, 'utf-8');
+      journal.files.push({ path: file.path, previous: file.previous, writtenHash: hashContent(file.content) });
+      written.push({ path: file.path, fullPath });
+    }
+  } catch (error) {
+    writeError = error;
+  }
+
+  if (journal.files.length > 0) {
+    const journalPath = getBuildJournalPath(folderPath, buildId);
+    await fs.mkdir(path.dirname(journalPath), { recursive: true });
+    await fs.writeFile(journalPath, JSON.stringify(journal, null, 2), 'utf-8');
+  }
+
+  return {
+    buildId: written.length > 0 ? buildId : null,
+    files: written,
+    error: writeError ? writeError.message : null
+  };
+};
+
+// ============================================
+// COMPONENT VERSION HISTORY
+// ============================================
+// Versions of a component edited in the Components view are kept per component
+// file in .visualise/history/<component>.json so they survive reloads:
+//   { file, currentIndex, versions: [{ id, parentId, timestamp, description, prompt, element, code }] }
+// The versions form a tree through parentId (edits branch off the version they were made on).
+// <component> is the file's project-relative path with "/" replaced by "__".
+
+const COMPONENT_HISTORY_DIR = path.join('.visualise', 'history');
+const MAX_HISTORY_VERSIONS = 100;
+
+const getComponentHistoryPath = (folderPath, filePath) => {
+  const relative = path.relative(folderPath, filePath).split(path.sep).join('/');
+  return path.join(folderPath, COMPONENT_HISTORY_DIR, `${relative.split('/').join('__')}.json`);
+};
+
+// Above MAX_HISTORY_VERSIONS, prune the oldest leaves (versions nothing was built on)
+// one at a time, never touching the checked-out version or its ancestors. The tree
+// stays intact, and currentIndex is found again by id.
+const trimComponentHistory = ({ versions, currentIndex }) => {
+  const current = versions[currentIndex] || versions[versions.length - 1];
+  const byId = new Map(versions.map(version => [version.id, version]));
+  const protectedIds = new Set();
+  for (let version = current; version && !protectedIds.has(version.id); version = byId.get(version.parentId)) {
+    protectedIds.add(version.id);
+  }
+
+  let kept = versions;
+  while (kept.length > MAX_HISTORY_VERSIONS) {
+    const parentIds = new Set(kept.map(version => version.parentId));
+    const leaf = kept.find(version => !parentIds.has(version.id) && !protectedIds.has(version.id));
+    if (!leaf) break; // Only the checked-out line is left, and that is never dropped
+    kept = kept.filter(version => version !== leaf);
+  }
+
+  return {
+    versions: kept,
+    currentIndex: kept.indexOf(current)
+  };
+};
+
+// ============================================
+// VISUAL SELF-CHECK
+// ============================================
+// Renders generated output in a hidden window, screenshots it and compares the
+// screenshot with the uploaded design (see visualDiff.js for the scoring).
+
+const VISUAL_CHECK_SETTLE_MS = 1500; // Component previews mount from module scripts and keep rendering after 'load'
+
+const VISUAL_CHECK_PROMPT = `Image 1 is the target design. Image 2 is a screenshot of the code that was generated from it.
+
+List the visual differences between them, most important first: missing or extra elements, layout and alignment, spacing, sizes, colors, typography, borders, shadows and images.
+Be specific about where each difference is and what the implementation should change (e.g. "Hero heading is ~32px, design shows ~48px bold").
+Use a short markdown bullet list. If the screenshot already matches the design closely, say so in one sentence.`;
+
+// Bounding box of what the page rendered (#root's children for component previews,
+// otherwise the body's), plus the document's scroll size and any preview error
+const MEASURE_CONTENT_SCRIPT = `(() => {
+  const root = document.getElementById('root') || document.body;
+  const text = root.textContent || '';
+  const rects = [...root.children].map(child => child.getBoundingClientRect()).filter(rect => rect.width > 0 || rect.height > 0);
+  const left = Math.min(...rects.map(rect => rect.left));
+  const top = Math.min(...rects.map(rect => rect.top));
+  return {
+    width: rects.length ? Math.round(Math.max(...rects.map(rect => rect.right)) - left) : 0,
+    height: rects.length ? Math.round(Math.max(...rects.map(rect => rect.bottom)) - top) : 0,
+    scrollWidth: document.documentElement.scrollWidth,
+    scrollHeight: document.documentElement.scrollHeight,
+    error: text.startsWith('Preview error: ') ? text.slice('Preview error: '.length, 300) : null
+  };
+})()`;
+
+// Preview document for a React/Vue/Svelte component and whatever it imports from the project
+// (see previewBundler.js). Unresolved imports give an error document listing them.
+// `instrument` tags the component's elements with their source location (sourceLocations.js).
+const renderComponentPreview = async ({ code, filePath, folderPath, language, instrument = false }) => {
+  // Unsaved code: the extension picks the compiler (JSX/TSX, Vue SFC or Svelte)
+  const extension = languageToExtension(language);
+  const previewName = `Preview.${['tsx', 'vue', 'svelte'].includes(extension) ? extension : 'jsx'}`;
+  const entryPath = path.resolve(filePath || path.join(folderPath, 'componentAI', previewName));
+  await assertInsideWorkspace(entryPath);
+
+  const readSource = async candidate => {
+    if (!(await isInsideWorkspace(candidate))) return null;
+    try {
+      const stat = await fs.stat(candidate);
+      return stat.isFile() ? await fs.readFile(candidate) : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const entryCode = instrument ? instrumentSource(code || '', entryPath) : code || '';
+  const bundle = await bundlePreview({ code: entryCode, entryPath, rootDir: path.resolve(folderPath), readSource });
+  if (bundle.unresolved.length > 0) {
+    const list = bundle.unresolved.map(item => `  ${item.specifier} (imported by ${item.importer})`).join('\n');
+    return {
+      html: renderPreviewErrorDocument(`These imports are not available in the preview:\n${list}`),
+      unresolved: bundle.unresolved
+    };
+  }
+  return { html: renderPreviewDocument(bundle), modules: bundle.modules, unresolved: [] };
+};
+
+// Load `html` (a full document) or `pageUrl` in a hidden window sized like the design and capture it.
+// Returns { image, content } where content is MEASURE_CONTENT_SCRIPT's result.
+// Documents are loaded from a temp file: bundled previews inline their modules and
+// assets as data: URLs and easily pass Chromium's 2 MB limit for a data: page URL.
+const captureRenderedPage = async ({ html, pageUrl, width, height }) => {
+  const win = new BrowserWindow({
+    show: false,
+    width,
+    height,
+    useContentSize: true,
+    paintWhenInitiallyHidden: true,
+    webPreferences: {
+      offscreen: true,
+      sandbox: true,
+      contextIsolation: true,
+      nodeIntegration: false
+    }
+  });
+
+  let tempDir = null;
+  try {
+    if (html) {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'visualise-capture-'));
+      const documentPath = path.join(tempDir, 'index.html');
+      await fs.writeFile(documentPath, html, 'utf-8');
+      await win.loadFile(documentPath);
+    } else {
+      await win.loadURL(pageUrl);
+    }
+    await delay(VISUAL_CHECK_SETTLE_MS);
+    const content = await win.webContents.executeJavaScript(MEASURE_CONTENT_SCRIPT).catch(() => null);
+    return { image: await win.webContents.capturePage(), content };
+  } finally {
+    win.destroy();
+    if (tempDir) await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+  }
+};
+
+// nativeImage -> BGRA bitmap at the compare size (see visualCompareGeometry)
+const toCompareBitmap = (image, compareSize) => image.resize({ ...compareSize, quality: 'good' }).toBitmap();
+
 const stripCodeFences = text => {
   if (!text) return '';
   const fenceMatch = text.match(/```[\s\S]*?```/);
@@ -201,6 +592,33 @@ const stripCodeFences = text => {
   return text.trim();
 };
 
+// Regex patterns for file headers
+// 1. ===FILE: path/to/file=== (Standard)
+// 2. ### FILE: path/to/file (Common markdown)
+// 3. ### File 1: path/to/file (Numbered markdown)
+// 4. **File:** path/to/file (Bold label)
+// 5. File: path/to/file (Simple label)
+// We accept various formats to be robust against model variations
+const FILE_HEADER_PATTERNS = [
+  /^===\s*FILE:\s*(.+?)===/i,       // Matches "===FILE:...", "=== FILE: ... ==="
+  /^###\s*FILE.*:\s*(.+)/i,  // Relaxed: matches "### File 1:", "### FILE:", etc.
+  /^\*\*\s*File.*:\s*\*\*\s*(.+)/i,
+  /^File.*:\s*(.+)/i
+];
+
+// Helper to check if a line of build output is a file header
+const matchFileHeader = (line) => {
+  for (const pattern of FILE_HEADER_PATTERNS) {
+    const match = line.match(pattern);
+    if (match && match[1]) {
+      // Strip backticks, whitespace, and any trailing non-path chars
+      // also strip trailing === if the regex was loose
+      return match[1].replace(/===$/, '').trim().replace(/^`+|`+$/g, '');
+    }
+  }
+  return null;
+};
+
 const languageToExtension = language => {
   if (!language) return 'txt';
   const normalized = language.toLowerCase();
@@ -356,12 +774,15 @@ const registerIpcHandlers = () => {
     }
 
     const folderPath = result.filePaths[0];
+    workspaceRoot = await fs.realpath(folderPath);
+    approvedOutsidePaths.clear();
     const tree = await buildTree(folderPath);
     return { folderPath, tree };
   });
 
   ipcMain.handle('read-file', async (_event, filePath) => {
     try {
+      await assertWorkspaceAccess(filePath, 'reading a file');
       const content = await fs.readFile(filePath, 'utf-8');
       return { success: true, filePath, content };
     } catch (error) {
@@ -374,6 +795,7 @@ const registerIpcHandlers = () => {
     console.log('[main] create-entry', { basePath, name, type });
     try {
       const target = path.join(basePath, name);
+      await assertWorkspaceAccess(target, `creating a ${type === 'folder' ? 'folder' : 'file'}`);
       if (type === 'folder') {
         await fs.mkdir(target, { recursive: true });
         // eslint-disable-next-line no-console
@@ -398,6 +820,8 @@ const registerIpcHandlers = () => {
     try {
       const parent = path.dirname(targetPath);
       const destination = path.join(parent, newName);
+      await assertWorkspaceAccess(targetPath, 'renaming a file');
+      await assertWorkspaceAccess(destination, 'renaming a file');
       await fs.rename(targetPath, destination);
       // eslint-disable-next-line no-console
       console.log('[main] rename-entry success', destination);
@@ -413,6 +837,10 @@ const registerIpcHandlers = () => {
     // eslint-disable-next-line no-console
     console.log('[main] delete-entry', { targetPath });
     try {
+      await assertWorkspaceAccess(targetPath, 'deleting a file');
+      if ((await resolveRealPath(targetPath)) === workspaceRoot) {
+        throw new Error('Refusing to delete the open project folder itself.');
+      }
       // attempt to remove directory or file
       // fs.rm with recursive works for both files and directories
       await fs.rm(targetPath, { recursive: true, force: true });
@@ -428,6 +856,7 @@ const registerIpcHandlers = () => {
 
   ipcMain.handle('read-tree', async (_event, folderPath) => {
     try {
+      await assertInsideWorkspace(folderPath);
       const tree = await buildTree(folderPath);
       return { success: true, tree };
     } catch (error) {
@@ -437,6 +866,7 @@ const registerIpcHandlers = () => {
 
   ipcMain.handle('save-file', async (_event, { filePath, content, encoding }) => {
     try {
+      await assertWorkspaceAccess(filePath, 'saving a file');
       // Support base64 encoding for binary files
       if (encoding === 'base64') {
         const buffer = Buffer.from(content, 'base64');
@@ -452,6 +882,7 @@ const registerIpcHandlers = () => {
 
   ipcMain.handle('ensure-dir', async (_event, { dirPath }) => {
     try {
+      await assertWorkspaceAccess(dirPath, 'creating a folder');
       await fs.mkdir(dirPath, { recursive: true });
       return { success: true, path: dirPath };
     } catch (error) {
@@ -461,6 +892,7 @@ const registerIpcHandlers = () => {
 
   ipcMain.handle('write-file-binary', async (_event, { filePath, dataUrl }) => {
     try {
+      await assertWorkspaceAccess(filePath, 'writing a file');
       // Ensure the directory exists
       const dir = path.dirname(filePath);
       await fs.mkdir(dir, { recursive: true });
@@ -476,8 +908,10 @@ const registerIpcHandlers = () => {
     }
   });
 
+  // The source may be anywhere (e.g. an image the user picked); only the target is guarded
   ipcMain.handle('copy-file', async (_event, { sourcePath, targetPath }) => {
     try {
+      await assertWorkspaceAccess(targetPath, 'copying a file');
       // Ensure the target directory exists
       const dir = path.dirname(targetPath);
       await fs.mkdir(dir, { recursive: true });
@@ -489,97 +923,80 @@ const registerIpcHandlers = () => {
     }
   });
 
-  ipcMain.handle('gemini-analyze-image', async (_event, { imageBase64, prompt, systemPrompt, mimeType }) => {
+  ipcMain.handle('gemini-analyze-image', async (_event, { imageBase64, prompt, systemPrompt, mimeType, folderPath }) => {
     try {
       if (!imageBase64) {
         return { success: false, error: 'No image provided.' };
       }
 
-      const apiKey = process.env.GEMINI_API_KEY;
-      if (!apiKey) {
-        return { success: false, error: 'Missing GEMINI_API_KEY in environment.' };
-      }
-
-      const stripped = imageBase64.includes(',') ? imageBase64.split(',')[1] : imageBase64;
-      const inferredMime = mimeType || imageBase64.match(/^data:(.*?);base64,/i)?.[1] || 'image/png';
-
-      const urlToCall = `${GEMINI_API_BASE}/${encodeURIComponent(GEMINI_MODEL)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-
-      const payload = {
-        systemInstruction: {
-          role: 'system',
-          parts: [{ text: systemPrompt || DEFAULT_SYSTEM_PROMPT }]
-        },
-        contents: [
-          {
-            role: 'user',
-            parts: [
-              { text: prompt || DEFAULT_USER_PROMPT },
-              { inlineData: { mimeType: inferredMime, data: stripped } }
-            ]
-          }
-        ]
-      };
-
-      const res = await fetch(urlToCall, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
+      const text = await generateForProjectTask(folderPath, 'image-analysis', {
+        system: systemPrompt || DEFAULT_SYSTEM_PROMPT,
+        prompt: prompt || DEFAULT_USER_PROMPT,
+        images: [toImagePart(imageBase64, mimeType)]
       });
 
-      if (!res.ok) {
-        const text = await res.text();
-        return { success: false, error: `Gemini error ${res.status}: ${text}` };
-      }
-
-      const data = await res.json();
-      const parts = data?.candidates?.[0]?.content?.parts || [];
-      const combinedText = parts
-        .map(part => part?.text)
-        .filter(Boolean)
-        .join('\n')
-        .trim();
-
-      return { success: true, text: combinedText || '' };
+      return { success: true, text: text.trim() };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('ollama-analyze-image', async (_event, { imageBase64, prompt, systemPrompt }) => {
+  ipcMain.handle('ollama-analyze-image', async (_event, { imageBase64, prompt, systemPrompt, mimeType, folderPath }) => {
     try {
       if (!imageBase64) {
         return { success: false, error: 'No image provided.' };
       }
 
-      const stripped = imageBase64.includes(',') ? imageBase64.split(',')[1] : imageBase64;
-      const payload = {
-        model: OLLAMA_MODEL,
-        prompt: prompt || DEFAULT_USER_PROMPT,
+      const text = await generateForProjectTask(folderPath, 'image-analysis-local', {
         system: systemPrompt || DEFAULT_SYSTEM_PROMPT,
-        images: [stripped],
-        stream: false
-      };
-
-      const res = await fetch('http://localhost:11434/api/generate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
+        prompt: prompt || DEFAULT_USER_PROMPT,
+        images: [toImagePart(imageBase64, mimeType)]
       });
 
-      if (!res.ok) {
-        const text = await res.text();
-        return { success: false, error: `Ollama error ${res.status}: ${text}` };
-      }
-
-      const data = await res.json();
-      return { success: true, text: data?.response || '' };
+      return { success: true, text };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
-  ipcMain.handle('build-component', async (_event, { folderPath, name, useCase, language, analysis, userSettings }) => {
+  // Installed Ollama models plus the default route of every task, for the Settings page
+  ipcMain.handle('list-ai-models', async () => {
+    const defaults = Object.fromEntries(AI_TASKS.map(task => [task, resolveTaskRoute(task)]));
+    try {
+      const models = await listProviderModels('ollama');
+      return { success: true, models, defaults };
+    } catch (error) {
+      return { success: false, models: [], defaults, error: error.message };
+    }
+  });
+
+  // Variation counts, strategies and prompt styles for the build form (see electron/variations.js)
+  ipcMain.handle('get-variation-options', async () => ({ success: true, ...describeVariationOptions() }));
+
+  ipcMain.handle('cancel-ai-request', async (_event, { requestId }) => {
+    const controller = activeRequests.get(requestId);
+    if (!controller) {
+      return { success: false, error: 'No running request with that id.' };
+    }
+    controller.abort();
+    activeRequests.delete(requestId);
+    return { success: true };
+  });
+
+  ipcMain.handle('build-component', async (event, {
+    folderPath,
+    name,
+    useCase,
+    language,
+    analysis,
+    userSettings,
+    variationCount,
+    variationStrategy,
+    variationModels,
+    promptStyles,
+    requestId
+  }) => {
+    const request = trackRequest(requestId);
     try {
       const trimmedName = (name || '').trim();
       const trimmedUseCase = (useCase || '').trim();
@@ -624,15 +1041,23 @@ const registerIpcHandlers = () => {
       }
 
       const targetDir = path.join(folderPath, 'componentAI');
+      await assertInsideWorkspace(targetDir);
       await fs.mkdir(targetDir, { recursive: true });
 
-      // Generate 4 variations with different temperatures for variety
-      const variations = [
-        { id: 1, temperature: 0.2 },
-        { id: 2, temperature: 0.4 },
-        { id: 3, temperature: 0.6 },
-        { id: 4, temperature: 0.8 }
-      ];
+      // Temperature sweep, different models or different prompt styles (see variations.js)
+      const variations = planVariations({
+        strategy: variationStrategy,
+        count: variationCount,
+        models: variationModels,
+        promptStyles
+      });
+
+      const emit = createStreamEmitter(event.sender, requestId);
+      emit({
+        type: 'start',
+        variationIds: variations.map(v => v.id),
+        labels: Object.fromEntries(variations.map(v => [v.id, v.label]))
+      });
 
       const results = await Promise.all(
         variations.map(async (variation) => {
@@ -652,43 +1077,47 @@ Requirements:
 -  Use the typography settings from the design system. Apply the correct font-family, font-weight, font-size, and text-transform for each heading/text element.
 - Preserve any spacing and layout hints present in the interpretation.
 - Follow the interpretation as closely as possible.
-`;
+${variation.promptStyle ? `- Style of this variation (${PROMPT_STYLES[variation.promptStyle].label}): ${PROMPT_STYLES[variation.promptStyle].instruction}\n` : ''}`;
 
+          const meta = { id: variation.id, label: variation.label, model: variation.model, promptStyle: variation.promptStyle };
           try {
-            const res = await fetch('http://localhost:11434/api/generate', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                model: OLLAMA_BUILD_MODEL,
-                prompt,
-                stream: false,
-                options: { temperature: variation.temperature }
-              })
-            });
-
-            if (!res.ok) {
-              const text = await res.text();
-              throw new Error(`Ollama build error ${res.status}: ${text}`);
-            }
-
-            const data = await res.json();
-            const raw = data?.response?.trim() || '';
-            const code = stripCodeFences(raw);
-
+            const options = {
+              prompt,
+              temperature: variation.temperature,
+              signal: request.signal,
+              onToken: token => emit({ type: 'token', variationId: variation.id, token })
+            };
+            // A model variation bypasses the project's component-build route
+            const raw = variation.model
+              ? await generateForTask('component-build', options, parseRouteSpec(variation.model))
+              : await generateForProjectTask(folderPath, 'component-build', options);
             const extension = languageToExtension(language);
             const tempFileName = `${slugify(trimmedName)}-var${variation.id}.${extension}`;
             const tempFilePath = path.join(targetDir, tempFileName);
 
+            const { code, validation } = await validateAndRepair({
+              folderPath,
+              task: 'component-build',
+              code: stripCodeFences(raw.trim()),
+              fileName: tempFileName,
+              signal: request.signal,
+              onAttempt: attempt => emit({ type: 'repair', variationId: variation.id, attempt })
+            });
+
             return {
-              id: variation.id,
+              ...meta,
               code,
               tempFilePath,
               extension,
+              validation,
               success: true
             };
           } catch (error) {
+            if (isAbortError(error) || request.signal.aborted) {
+              return { ...meta, success: false, cancelled: true, error: 'Cancelled' };
+            }
             return {
-              id: variation.id,
+              ...meta,
               success: false,
               error: error.message
             };
@@ -699,6 +1128,9 @@ Requirements:
       // Check if any variation succeeded
       const successful = results.filter(r => r.success);
       if (successful.length === 0) {
+        if (request.signal.aborted) {
+          return { success: false, cancelled: true, error: 'Build cancelled.' };
+        }
         return { success: false, error: 'All variations failed to build.' };
       }
 
@@ -710,6 +1142,8 @@ Requirements:
       };
     } catch (error) {
       return { success: false, error: error.message };
+    } finally {
+      request.release();
     }
   });
 
@@ -724,6 +1158,7 @@ Requirements:
       // Save the selected variation with the final name
       const finalFileName = `${baseFileName}.${extension}`;
       const finalFilePath = path.join(targetDir, finalFileName);
+      await assertInsideWorkspace(finalFilePath);
       await fs.writeFile(finalFilePath, selected.code, 'utf-8');
 
       // Delete all temporary variation files (they were never written, so nothing to delete)
@@ -738,9 +1173,103 @@ Requirements:
     }
   });
 
-  ipcMain.handle('edit-component-element', async (_event, { element, prompt, fullCode, language, userSettings }) => {
+  // Rank build-component variations: parse result, design-token compliance, rendered size and
+  // similarity to the design (see variationScoring.js). Renders one variation at a time.
+  ipcMain.handle('score-component-variations', async (_event, { variations, language, designImage, folderPath, requestId }) => {
+    const request = trackRequest(requestId);
+    try {
+      if (!folderPath) {
+        return { success: false, error: 'No project folder is open.' };
+      }
+      const settings = await loadProjectSettings(folderPath);
+      const userSettings = settings && settings.enabled !== false ? settings : null;
+
+      let design = null;
+      if (designImage) {
+        design = nativeImage.createFromBuffer(Buffer.from(toImagePart(designImage).data, 'base64'));
+        if (design.isEmpty()) design = null;
+      }
+      // Same viewport as the visual check when there is a design
+      const { viewport, compareSize } = visualCompareGeometry(design?.getSize());
+      const designBitmap = design ? toCompareBitmap(design, compareSize) : null;
+      const isHtml = languageToExtension(language) === 'html';
+
+      const scores = {};
+      for (const variation of (variations || []).filter(v => v.success && v.code)) {
+        if (request.signal.aborted) {
+          return { success: false, cancelled: true, error: 'Scoring cancelled.' };
+        }
+
+        const entry = {
+          parse: scoreParse(variation.validation),
+          tokens: scoreTokenCompliance(variation.code, userSettings).score,
+          size: null,
+          visual: null,
+          issues: []
+        };
+        try {
+          const { html } = isHtml
+            ? { html: wrapHtmlFragment(variation.code) }
+            : await renderComponentPreview({ code: variation.code, filePath: variation.tempFilePath, folderPath, language });
+          const { image, content } = await captureRenderedPage({ html, ...viewport });
+          const size = scoreRenderedSize(content, viewport);
+          entry.size = size.score;
+          entry.issues = size.issues;
+          if (designBitmap && !image.isEmpty() && size.score > 0) {
+            const { mismatch, ssim } = compareBitmaps(
+              designBitmap,
+              toCompareBitmap(image, compareSize),
+              compareSize.width,
+              compareSize.height
+            );
+            entry.visual = similarityScore({ mismatch, ssim });
+          } else if (designBitmap) {
+            entry.visual = 0;
+          }
+        } catch (error) {
+          entry.size = 0;
+          entry.issues = [`Could not render: ${error.message}`];
+        }
+        scores[variation.id] = { ...entry, overall: combineScores(entry) };
+      }
+
+      const ranking = rankVariations(scores);
+      const best = ranking.find(id => typeof scores[id].overall === 'number');
+      return { success: true, scores, ranking, recommendedId: best ?? null };
+    } catch (error) {
+      return { success: false, error: error.message };
+    } finally {
+      request.release();
+    }
+  });
+
+  // Preview document for a React, Vue or Svelte component and everything it imports from the project.
+  // `filePath` is where the component lives (or will be saved); relative imports resolve from there.
+  ipcMain.handle('bundle-component-preview', async (_event, { code, filePath, folderPath, language, instrument }) => {
+    try {
+      if (!folderPath) {
+        return { success: false, error: 'No project folder is open.', html: renderPreviewErrorDocument('No project folder is open.') };
+      }
+      return { success: true, ...(await renderComponentPreview({ code, filePath, folderPath, language, instrument })) };
+    } catch (error) {
+      return { success: false, error: error.message, html: renderPreviewErrorDocument(error.message) };
+    }
+  });
+
+  // HTML previews are rendered by the renderer itself; this tags their elements with source locations
+  ipcMain.handle('instrument-source', async (_event, { code, language }) => {
+    try {
+      return { success: true, code: instrumentSource(code || '', `Component.${languageToExtension(language)}`) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('edit-component-element', async (_event, { element, elements, prompt, fullCode, language, userSettings, folderPath }) => {
     try {
-      if (!element || !prompt || !fullCode) {
+      // `elements` is a multi-selection from the inspector; `element` a single one
+      const selected = (Array.isArray(elements) && elements.length > 0 ? elements : [element]).filter(Boolean);
+      if (selected.length === 0 || !prompt || !fullCode) {
         return { success: false, error: 'Element info, prompt, and code are required.' };
       }
 
@@ -767,52 +1296,87 @@ Requirements:
         }
       }
 
-      const editPrompt = `You are an expert front-end developer. A user has selected a specific element in their ${language || 'React'} component and wants to modify it.
+      const isBatch = selected.length > 1;
+      const batchInstruction = 'Apply the same, consistent change to every one of them (e.g. identical spacing, colors or typography values) rather than adjusting each differently.';
+      const guidelines = `Important:
+- Preserve all other elements and functionality
+- Only modify what the user requested
+- Maintain the same code structure and style
+- If the edit involves CSS changes, apply them appropriately (inline styles, className, etc.)
+- When applying colors or typography, prefer values from the user's design system if available`;
+
+      // Elements the preview mapped to their source (data-source-loc): only those spans are rewritten
+      const spans = resolveSourceSpans(fullCode, selected);
+      if (spans) {
+        const snippets = spans.map(span => fullCode.slice(span.start, span.end));
+        const multiple = snippets.length > 1;
+        const snippetContext = snippets.map((snippet, index) => `${multiple ? `=== SNIPPET ${index + 1} ===\n` : ''}\`\`\`\n${snippet}\n\`\`\``).join('\n\n');
 
-**Selected Element:**
-\`\`\`html
-${element.fullOuterHTML}
-\`\`\`
+        const spanPrompt = `You are an expert front-end developer. A user has selected ${isBatch ? `${selected.length} elements` : 'a specific element'} in their ${language || 'React'} component and wants to modify ${isBatch ? 'them' : 'it'}.
+
+**Selected Source${multiple ? ` (${snippets.length} snippets)` : ''}:**
+${snippetContext}
 
 **User's Edit Request:**
 ${prompt}
 ${designSystemContext}
 
-**Full Component Code:**
+**Full Component Code (for reference only, do not return it):**
 \`\`\`
 ${fullCode}
 \`\`\`
 
 **Your Task:**
-Modify the component code to apply the user's requested changes to the selected element. Return ONLY the complete updated component code with the changes applied. No markdown fences, no explanations, just the raw code.
+Rewrite only the selected source to apply the user's requested changes.${isBatch ? ` ${batchInstruction}` : ''} ${multiple
+  ? 'Return every snippet in the same order, each preceded by its "=== SNIPPET n ===" line, even if it did not change.'
+  : 'Return ONLY the updated snippet.'} No markdown fences, no explanations, just the raw code. Each snippet replaces the original in place, so it must stay one element and may only use names already in scope there.
 
-Important:
-- Preserve all other elements and functionality
-- Only modify what the user requested
-- Maintain the same code structure and style
-- If the edit involves CSS changes, apply them appropriately (inline styles, className, etc.)
-- When applying colors or typography, prefer values from the user's design system if available
+${guidelines}
 `;
 
-      const res = await fetch('http://localhost:11434/api/generate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: OLLAMA_BUILD_MODEL,
-          prompt: editPrompt,
-          stream: false,
-          options: { temperature: 0.3 }
-        })
-      });
+        const raw = await generateForProjectTask(folderPath, 'element-edit', {
+          prompt: spanPrompt,
+          temperature: 0.3
+        });
+        const replacements = multiple
+          ? raw.split(/^\s*=== SNIPPET \d+ ===\s*$/m).slice(1).map(part => stripCodeFences(part.trim()))
+          : [stripCodeFences(raw.trim())];
+        if (replacements.length !== snippets.length || replacements.some(text => !text)) {
+          return { success: false, error: `Expected ${snippets.length} edited snippet(s) from the model, got ${replacements.length}.` };
+        }
 
-      if (!res.ok) {
-        const text = await res.text();
-        throw new Error(`Ollama edit error ${res.status}: ${text}`);
+        const updatedCode = replaceSpans(fullCode, spans, replacements);
+        return { success: true, updatedCode, spans: spans.length };
       }
 
-      const data = await res.json();
-      const raw = data?.response?.trim() || '';
-      const updatedCode = stripCodeFences(raw);
+      const selectedContext = isBatch
+        ? `**Selected Elements (${selected.length}):**\n${selected.map((item, index) => `${index + 1}.\n\`\`\`html\n${item.fullOuterHTML}\n\`\`\``).join('\n\n')}`
+        : `**Selected Element:**\n\`\`\`html\n${selected[0].fullOuterHTML}\n\`\`\``;
+
+      const editPrompt = `You are an expert front-end developer. A user has selected ${isBatch ? `${selected.length} elements` : 'a specific element'} in their ${language || 'React'} component and wants to modify ${isBatch ? 'them' : 'it'}.
+
+${selectedContext}
+
+**User's Edit Request:**
+${prompt}
+${designSystemContext}
+
+**Full Component Code:**
+\`\`\`
+${fullCode}
+\`\`\`
+
+**Your Task:**
+Modify the component code to apply the user's requested changes to the selected ${isBatch ? `elements. ${batchInstruction}` : 'element.'} Return ONLY the complete updated component code with the changes applied. No markdown fences, no explanations, just the raw code.
+
+${guidelines}
+`;
+
+      const raw = await generateForProjectTask(folderPath, 'element-edit', {
+        prompt: editPrompt,
+        temperature: 0.3
+      });
+      const updatedCode = stripCodeFences(raw.trim());
 
       return {
         success: true,
@@ -823,29 +1387,37 @@ Important:
     }
   });
 
-  // ============================================
-  // BUILD FEATURE - Design to Code
-  // ============================================
-
-  // Helper for exponential backoff
-  const fetchWithRetry = async (url, options, retries = 3, backoff = 1000) => {
+  // Style panel: write inline styles into the source directly (see styleEdits.js)
+  ipcMain.handle('apply-element-styles', async (_event, { code, language, filePath, elements, styles }) => {
     try {
-      const res = await fetch(url, options);
-      if (res.status === 503 && retries > 0) {
-        console.warn(`[Gemini] 503 Service Unavailable. Retrying in ${backoff}ms... (${retries} retries left)`);
-        await delay(backoff);
-        return fetchWithRetry(url, options, retries - 1, backoff * 2);
+      if (!code || !styles) {
+        return { success: false, error: 'Code and styles are required.' };
       }
-      return res;
+      const fileName = filePath || `Component.${languageToExtension(language)}`;
+      const updatedCode = applyElementStyles({ code, fileName, targets: elements, styles });
+      return { success: true, updatedCode };
     } catch (error) {
-      if (retries > 0) {
-        console.warn(`[Gemini] Fetch error: ${error.message}. Retrying in ${backoff}ms... (${retries} retries left)`);
-        await delay(backoff);
-        return fetchWithRetry(url, options, retries - 1, backoff * 2);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Inline text editing in the preview: replace the element's text in the source (see textEdits.js)
+  ipcMain.handle('apply-element-text', async (_event, { code, language, filePath, element, oldText, newText }) => {
+    try {
+      if (!code || !element || typeof newText !== 'string') {
+        return { success: false, error: 'Code, element and text are required.' };
       }
-      throw error;
+      const fileName = filePath || `Component.${languageToExtension(language)}`;
+      const updatedCode = applyElementText({ code, fileName, target: element, oldText, newText });
+      return { success: true, updatedCode };
+    } catch (error) {
+      return { success: false, error: error.message };
     }
-  };
+  });
+
+  // ============================================
+  // BUILD FEATURE - Design to Code
+  // ============================================
 
   // Helper: Scan project for existing components
   const scanProjectComponents = async (folderPath) => {
@@ -889,15 +1461,9 @@ Important:
 
   // Helper: Load style guide
   const loadStyleGuide = async (folderPath) => {
-    try {
-      const settingsPath = path.join(folderPath, '.visualise-settings.json');
-      const content = await fs.readFile(settingsPath, 'utf-8');
-      const settings = JSON.parse(content);
-      if (settings.enabled === false) return null;
-      return settings;
-    } catch (e) {
-      return null;
-    }
+    const settings = await loadProjectSettings(folderPath);
+    if (!settings || settings.enabled === false) return null;
+    return settings;
   };
 
   // Helper: Detect project structure
@@ -982,6 +1548,36 @@ Important:
     }
   };
 
+  // Helper: List editable source files (project-relative paths) for tweaker mode
+  const TWEAK_FILE_PATTERN = /\.(jsx?|tsx?|vue|svelte|html?|css|scss)$/i;
+  const TWEAK_SKIPPED_DIRS = new Set(['dist', 'build', 'out', 'coverage']);
+  const listProjectSourceFiles = async (folderPath, currentPath = folderPath, files = []) => {
+    let entries = [];
+    try {
+      entries = await fs.readdir(currentPath, { withFileTypes: true });
+    } catch (e) {
+      return files;
+    }
+
+    for (const entry of entries) {
+      if (IGNORED_DIRECTORIES.has(entry.name) || TWEAK_SKIPPED_DIRS.has(entry.name) || entry.name.startsWith('.')) continue;
+      const absolutePath = path.join(currentPath, entry.name);
+      if (entry.isDirectory()) {
+        await listProjectSourceFiles(folderPath, absolutePath, files);
+      } else if (TWEAK_FILE_PATTERN.test(entry.name) && files.length < 500) {
+        try {
+          const stat = await fs.stat(absolutePath);
+          if (stat.size > 100 * 1024) continue; // Skip bundles and other generated giants
+          const content = await fs.readFile(absolutePath, 'utf-8');
+          files.push({ path: path.relative(folderPath, absolutePath).split(path.sep).join('/'), content });
+        } catch (e) {
+          // Unreadable file; skip it
+        }
+      }
+    }
+    return files;
+  };
+
   // Format style guide for prompt
   const formatStyleGuideForPrompt = (styleGuide) => {
     if (!styleGuide) return '';
@@ -1026,14 +1622,10 @@ ${c.code.slice(0, 3000)}${c.code.length > 3000 ? '\n// ... (truncated)' : ''}
     }).join('\n\n');
   };
 
-  // Analyze build design with Gemini
-  ipcMain.handle('analyze-build-design', async (_event, { imageBase64, mimeType, folderPath, userMessage }) => {
+  // Analyze build design (routed to the "build-plan" task)
+  ipcMain.handle('analyze-build-design', async (_event, { imageBase64, mimeType, folderPath, userMessage, requestId }) => {
+    const request = trackRequest(requestId);
     try {
-      const apiKey = process.env.GEMINI_API_KEY;
-      if (!apiKey) {
-        return { success: false, error: 'Missing GEMINI_API_KEY in environment.' };
-      }
-
       if (!folderPath) {
         return { success: false, error: 'No project folder open.' };
       }
@@ -1088,180 +1680,111 @@ ${styleGuideText || 'No style guide configured.'}
   - Fix all relative paths in imports to match this structure (e.g. \`<link href="styles/main.css">\`).
 - If the Project Type is "react", "vue", etc., follow standard conventions (usually src/ folder).
 
-**CRITICAL OUTPUT RULES:**
-- You MUST return your response in TWO DISTINCT PARTS.
-- The parts MUST be separated by the exact string: "---DETAILED_PROMPT---"
-- Do NOT omit this separator.
-- PART 2 is the most important part; it is used by a code generator.
-
 **OUTPUT FORMAT:**
-
-PART 1 (User-facing summary):
-- Describe what you see in the design
-- List which existing components you'll reuse and how you will adapt them (e.g. "Will reuse Card component but change image to X")
-- List what new files you'll create
-- Explain your approach briefly
-
----DETAILED_PROMPT---
-
-PART 2 (Detailed build prompt for code generation):
-- Exact file structure with full paths
-- For each file: complete specifications including:
-  - Imports needed
-  - Component structure
-  - HTML/JSX elements with exact hierarchy
-  - CSS specifications (colors, spacing, fonts from style guide)
-  - **Props/Content Adaptation:** Explicitly state how to adapt reused components (e.g. "Use 'Card' component code but replace \`src='placeholder.jpg'\` with \`src='src/assets/images/real.jpg'\`").
-  - **New Elements:** For any new buttons, inputs, etc., explicitly specify the font-family, colors, and border-radius from the Style Guide.
-  - Image paths (use exact paths from Available Images)
-  - Responsive breakpoints if applicable
-  - If reusing a component, explicitly state: "Reuse existing component [Name]: [Path]" and provide the code snippet to copy if needed.
-- Be extremely detailed - the code generator needs exact specifications
-- DO NOT use markdown formatting for Part 2, just plain text instructions.`;
+Respond with a single JSON object (no markdown, no code fences) with these fields:
+- "summary": user-facing overview. Describe what you see in the design, which existing components you'll reuse and how you will adapt them (e.g. "Will reuse Card component but change image to X"), and your approach.
+- "files": one entry per file to create, each with:
+  - "path": full path relative to the project root
+  - "purpose": one sentence describing the file
+  - "spec": extremely detailed plain-text specification for the code generator, including:
+    - Imports needed
+    - Component structure
+    - HTML/JSX elements with exact hierarchy
+    - CSS specifications (colors, spacing, fonts from style guide)
+    - **Props/Content Adaptation:** Explicitly state how to adapt reused components (e.g. "Use 'Card' component code but replace \`src='placeholder.jpg'\` with \`src='src/assets/images/real.jpg'\`").
+    - **New Elements:** For any new buttons, inputs, etc., explicitly specify the font-family, colors, and border-radius from the Style Guide.
+    - Responsive breakpoints if applicable
+  - "reusedComponents": names of existing components this file reuses
+  - "newComponents": names of new components this file introduces
+  - "assets": image paths used by this file (exact paths from Available Images)
+  - "notes": anything else about this file (may be empty)
+- "notes": plan-wide notes such as interactivity or shared breakpoints (may be empty)`;
 
       const userPrompt = userMessage
         ? `Here's the design I want to build. ${userMessage}`
         : 'Analyze this design and create a detailed build plan.';
 
-      const urlToCall = `${GEMINI_API_BASE}/${encodeURIComponent(GEMINI_MODEL)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-
-      const res = await fetchWithRetry(urlToCall, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          system_instruction: { parts: [{ text: systemPrompt }] },
-          contents: [{
-            parts: [
-              { inline_data: { mime_type: mimeType || 'image/png', data: imageBase64 } },
-              { text: userPrompt }
-            ]
-          }]
-        })
+      const fullResponse = await generateForProjectTask(folderPath, 'build-plan', {
+        system: systemPrompt,
+        prompt: userPrompt,
+        images: [toImagePart(imageBase64, mimeType)],
+        schema: BUILD_PLAN_SCHEMA,
+        signal: request.signal
       });
 
-      if (!res.ok) {
-        const text = await res.text();
-        return { success: false, error: `Gemini error ${res.status}: ${text}` };
-      }
-
-      const data = await res.json();
-      const fullResponse = (data?.candidates || [])
-        .flatMap(c => c?.content?.parts || [])
-        .map(p => p.text || '')
-        .join('\n')
-        .trim();
-
-      // Split response into summary and detailed prompt
-      const parts = fullResponse.split('---DETAILED_PROMPT---');
-
-      if (parts.length < 2) {
-        // Fallback or error if separator is missing
-        // If the model ignored instructions, we might have just a summary or just a plan.
-        // We'll log it and try to return what we have, but warn.
-        console.warn('[Gemini] Missing separator ---DETAILED_PROMPT---');
-        return {
-          success: false,
-          error: 'The AI analysis was incomplete (missing build plan). Please try again.'
-        };
-      }
-
-      const summary = parts[0]?.trim() || 'Analysis complete.';
-      const detailedPrompt = parts[1]?.trim() || '';
-
-      if (!detailedPrompt) {
-        return {
-          success: false,
-          error: 'The AI generated an empty build plan. Please try again.'
-        };
-      }
+      const plan = parseBuildPlan(fullResponse);
 
       return {
         success: true,
-        summary,
-        detailedPrompt,
+        ...plan,
         components: components.map(c => ({ name: c.name, fileName: c.fileName })),
         styleGuide,
-        projectStructure,
-        files: [] // Will be determined during build
+        projectStructure
       };
     } catch (error) {
+      if (isAbortError(error)) {
+        return { success: false, cancelled: true, error: 'Analysis cancelled.' };
+      }
       return { success: false, error: error.message };
+    } finally {
+      request.release();
     }
   });
 
   // Refine build plan based on user feedback
-  ipcMain.handle('refine-build-plan', async (_event, { currentPlan, userFeedback, folderPath }) => {
+  ipcMain.handle('refine-build-plan', async (_event, { currentPlan, userFeedback, folderPath, requestId }) => {
+    const request = trackRequest(requestId);
     try {
-      const apiKey = process.env.GEMINI_API_KEY;
-      if (!apiKey) {
-        return { success: false, error: 'Missing GEMINI_API_KEY in environment.' };
-      }
-
       const styleGuideText = formatStyleGuideForPrompt(currentPlan.styleGuide);
 
-      const prompt = `You previously created this build plan:
+      const prompt = `You previously created this build plan (JSON):
 
-**Summary:**
-${currentPlan.summary}
-
-**Detailed Prompt:**
-${currentPlan.detailedPrompt}
+${JSON.stringify({ summary: currentPlan.summary, files: currentPlan.files, notes: currentPlan.notes }, null, 2)}
 
 The user has this feedback: "${userFeedback}"
 
-Please update the build plan based on this feedback. Respond in the same two-part format:
-PART 1: Updated user-facing summary
----DETAILED_PROMPT---
-PART 2: Updated detailed build prompt
+Please update the build plan based on this feedback. Respond with the complete updated plan as a single JSON object with the same fields ("summary", "files", "notes"); every file keeps "path", "purpose", "spec", "reusedComponents", "newComponents", "assets" and "notes".
 
 Style Guide to use:
 ${styleGuideText || 'No style guide configured.'}`;
 
-      const urlToCall = `${GEMINI_API_BASE}/${encodeURIComponent(GEMINI_MODEL)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-
-      const res = await fetchWithRetry(urlToCall, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }]
-        })
+      const fullResponse = await generateForProjectTask(folderPath, 'build-plan', {
+        prompt,
+        schema: BUILD_PLAN_SCHEMA,
+        signal: request.signal
       });
-
-      if (!res.ok) {
-        const text = await res.text();
-        return { success: false, error: `Gemini error ${res.status}: ${text}` };
-      }
-
-      const data = await res.json();
-      const fullResponse = (data?.candidates || [])
-        .flatMap(c => c?.content?.parts || [])
-        .map(p => p.text || '')
-        .join('\n')
-        .trim();
-
-      const parts = fullResponse.split('---DETAILED_PROMPT---');
-      const summary = parts[0]?.trim() || fullResponse;
-      const detailedPrompt = parts[1]?.trim() || fullResponse;
+      const plan = parseBuildPlan(fullResponse);
 
       return {
         success: true,
-        summary,
-        detailedPrompt,
+        ...plan,
         components: currentPlan.components,
-        styleGuide: currentPlan.styleGuide,
-        files: []
+        styleGuide: currentPlan.styleGuide
       };
     } catch (error) {
+      if (isAbortError(error)) {
+        return { success: false, cancelled: true, error: 'Refinement cancelled.' };
+      }
       return { success: false, error: error.message };
+    } finally {
+      request.release();
     }
   });
 
-  // Execute the build with Ollama
-  ipcMain.handle('execute-build', async (_event, { buildPlan, folderPath }) => {
+  // Execute the build (routed to the "page-build" task)
+  // With `stage: true` nothing is written: the parsed files come back alongside the
+  // current disk contents so the renderer can review diffs and call apply-build-files.
+  ipcMain.handle('execute-build', async (event, { buildPlan, folderPath, requestId, stage = false }) => {
+    const request = trackRequest(requestId);
     try {
-      if (!buildPlan?.detailedPrompt) {
+      if (!buildPlan) {
         return { success: false, error: 'No build plan provided.' };
       }
+      await assertInsideWorkspace(folderPath);
+      const planErrors = validateBuildPlan(buildPlan);
+      if (planErrors.length > 0) {
+        return { success: false, error: `Invalid build plan: ${planErrors.join(' ')}` };
+      }
 
       const projectStructure = await detectProjectStructure(folderPath);
       const styleGuideText = formatStyleGuideForPrompt(buildPlan.styleGuide);
@@ -1272,11 +1795,6 @@ ${styleGuideText || 'No style guide configured.'}`;
         ? `\n\n**Existing Components (import and reuse these):**\n${components.map(c => `${c.fileName}:\n\`\`\`\n${c.code}\n\`\`\``).join('\n\n')}`
         : '';
 
-      const apiKey = process.env.GEMINI_API_KEY;
-      if (!apiKey) {
-        return { success: false, error: 'Missing GEMINI_API_KEY in environment.' };
-      }
-
       const buildPrompt = `You are an expert front-end developer. Build the following based on the detailed specifications.
 
 **Project Info:**
@@ -1289,8 +1807,8 @@ ${styleGuideText || 'Use sensible defaults.'}
 ${componentsContext}
 
 **DETAILED BUILD SPECIFICATIONS:**
-${buildPlan.detailedPrompt}
-
+${formatBuildPlanForPrompt(buildPlan)}
+${buildPlan.userFeedback ? `\n**USER FEEDBACK ON THE PLAN (apply it):**\n${buildPlan.userFeedback}\n` : ''}
 **CRITICAL INSTRUCTIONS:**
 1. **Reuse & Adapt:** When using an existing component:
    - Use the provided code structure.
@@ -1318,63 +1836,31 @@ ${buildPlan.detailedPrompt}
 
           Generate all files now: `;
 
-      const urlToCall = `${GEMINI_API_BASE}/${encodeURIComponent(GEMINI_MODEL)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-
-      const res = await fetchWithRetry(urlToCall, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: buildPrompt }] }]
-        })
+      // Stream tokens to the renderer and announce each file header as soon as its line completes
+      const emit = createStreamEmitter(event.sender, requestId);
+      let pendingLine = '';
+      const response = await generateForProjectTask(folderPath, 'page-build', {
+        prompt: buildPrompt,
+        signal: request.signal,
+        onToken: token => {
+          emit({ type: 'token', token });
+          const streamedLines = (pendingLine + token).split('\n');
+          pendingLine = streamedLines.pop();
+          streamedLines.forEach(line => {
+            const filename = matchFileHeader(line);
+            if (filename) emit({ type: 'file', path: filename });
+          });
+        }
       });
 
-      if (!res.ok) {
-        const text = await res.text();
-        return { success: false, error: `Gemini error ${res.status}: ${text}` };
-      }
-
-      const data = await res.json();
-      const response = (data?.candidates || [])
-        .flatMap(c => c?.content?.parts || [])
-        .map(p => p.text || '')
-        .join('\n')
-        .trim();
-
       // Parse the response to extract files
       // We support multiple formats because LLMs are unpredictable
-      const createdFiles = [];
+      const parsedFiles = [];
+      const rejectedFiles = []; // Model-supplied paths that would land outside the project
       const lines = response.split('\n');
       let currentFile = null;
       let currentContent = [];
 
-      // Regex patterns for file headers
-      // 1. ===FILE: path/to/file=== (Standard)
-      // 2. ### FILE: path/to/file (Common markdown)
-      // 3. ### File 1: path/to/file (Numbered markdown)
-      // 4. **File:** path/to/file (Bold label)
-      // 5. File: path/to/file (Simple label)
-      // Regex patterns for file headers
-      // We accept various formats to be robust against model variations
-      const headerPatterns = [
-        /^===\s*FILE:\s*(.+?)===/i,       // Matches "===FILE:...", "=== FILE: ... ==="
-        /^###\s*FILE.*:\s*(.+)/i,  // Relaxed: matches "### File 1:", "### FILE:", etc.
-        /^\*\*\s*File.*:\s*\*\*\s*(.+)/i,
-        /^File.*:\s*(.+)/i
-      ];
-
-      // Helper to check if a line is a file header
-      const matchHeader = (line) => {
-        for (const pattern of headerPatterns) {
-          const match = line.match(pattern);
-          if (match && match[1]) {
-            // Strip backticks, whitespace, and any trailing non-path chars
-            // also strip trailing === if the regex was loose
-            return match[1].replace(/===$/, '').trim().replace(/^`+|`+$/g, '');
-          }
-        }
-        return null;
-      };
-
       // Helper to check if a line is a file footer
       const matchFooter = (line) => {
         const t = line.trim();
@@ -1383,11 +1869,11 @@ ${buildPlan.detailedPrompt}
 
       for (let i = 0; i < lines.length; i++) {
         const line = lines[i];
-        const filename = matchHeader(line);
+        const filename = matchFileHeader(line);
 
         if (filename) {
           if (currentFile) {
-            await saveParsedFile(currentFile, currentContent.join('\n'), folderPath, projectStructure, createdFiles);
+            collectParsedFile(currentFile, currentContent.join('\n'), folderPath, projectStructure, parsedFiles);
           }
           currentFile = filename;
           currentContent = [];
@@ -1408,7 +1894,7 @@ ${buildPlan.detailedPrompt}
         } else if (currentFile) {
           if (matchFooter(line)) {
             // End of file
-            await saveParsedFile(currentFile, currentContent.join('\n'), folderPath, projectStructure, createdFiles);
+            collectParsedFile(currentFile, currentContent.join('\n'), folderPath, projectStructure, parsedFiles);
             currentFile = null;
             currentContent = [];
           } else {
@@ -1419,17 +1905,19 @@ ${buildPlan.detailedPrompt}
 
       // Save any remaining file
       if (currentFile && currentContent.length > 0) {
-        await saveParsedFile(currentFile, currentContent.join('\n'), folderPath, projectStructure, createdFiles);
+        collectParsedFile(currentFile, currentContent.join('\n'), folderPath, projectStructure, parsedFiles);
       }
 
-      // Helper to save files
-      async function saveParsedFile(relativePath, content, folderPath, projectStructure, createdFiles) {
+      // Helper to resolve where a parsed file belongs (later entries for the same path win)
+      function collectParsedFile(relativePath, content, folderPath, projectStructure, parsedFiles) {
         // Cleaning
         let cleanContent = stripCodeFences(content);
 
         let fullPath;
         if (path.isAbsolute(relativePath)) {
-          fullPath = relativePath;
+          // Never honour absolute paths from the model
+          rejectedFiles.push(relativePath);
+          return;
         } else if (relativePath.startsWith('componentAI/')) {
           fullPath = path.join(folderPath, relativePath);
         } else {
@@ -1443,21 +1931,46 @@ ${buildPlan.detailedPrompt}
           }
         }
 
-        try {
-          await fs.mkdir(path.dirname(fullPath), { recursive: true });
-          await fs.writeFile(fullPath, cleanContent, 'utf-8');
-          createdFiles.push({
-            path: path.relative(folderPath, fullPath),
-            fullPath
-          });
-        } catch (e) {
-          console.error('Failed to write file:', fullPath, e);
+        const existing = parsedFiles.findIndex(f => f.fullPath === fullPath);
+        if (existing !== -1) parsedFiles.splice(existing, 1);
+        parsedFiles.push({ fullPath, content: cleanContent });
+      }
+
+      // Drop anything that resolves outside the project ("src/../../x", symlinked dirs)
+      for (const file of [...parsedFiles]) {
+        if (!(await isInsideWorkspace(file.fullPath))) {
+          rejectedFiles.push(path.relative(folderPath, file.fullPath));
+          parsedFiles.splice(parsedFiles.indexOf(file), 1);
         }
       }
 
-      if (createdFiles.length === 0) {
+      if (parsedFiles.length === 0 && rejectedFiles.length > 0) {
+        return {
+          success: false,
+          error: `Every generated file pointed outside the project folder: ${rejectedFiles.join(', ')}`
+        };
+      }
+
+      if (parsedFiles.length === 0) {
         // Fallback: if no files parsed, save the whole response as a single file
         const fallbackPath = path.join(folderPath, 'build-output.txt');
+        if (stage) {
+          // Staged builds write nothing before review: offer the raw output as a file to accept or discard
+          const original = await readFileIfExists(fallbackPath);
+          return {
+            success: true,
+            staged: true,
+            files: [{
+              path: 'build-output.txt',
+              content: response,
+              original,
+              status: original === null ? 'new' : original === response ? 'unchanged' : 'modified',
+              validation: { status: 'skipped', errors: [] }
+            }],
+            rejected: rejectedFiles,
+            warning: 'Could not parse generated files. The raw output is staged as build-output.txt.'
+          };
+        }
         await fs.writeFile(fallbackPath, response, 'utf-8');
         return {
           success: false,
@@ -1465,12 +1978,422 @@ ${buildPlan.detailedPrompt}
         };
       }
 
+      // Parse-check every file, asking the model to repair the ones that fail
+      for (const file of parsedFiles) {
+        const relativePath = path.relative(folderPath, file.fullPath);
+        const { code, validation } = await validateAndRepair({
+          folderPath,
+          task: 'page-build',
+          code: file.content,
+          fileName: file.fullPath,
+          signal: request.signal,
+          onAttempt: attempt => emit({ type: 'repair', path: relativePath, attempt })
+        });
+        file.content = code;
+        file.validation = validation;
+      }
+
+      if (stage) {
+        const stagedFiles = await Promise.all(parsedFiles.map(async ({ fullPath, content, validation }) => {
+          const original = await readFileIfExists(fullPath);
+          return {
+            path: path.relative(folderPath, fullPath),
+            content,
+            original,
+            status: original === null ? 'new' : original === content ? 'unchanged' : 'modified',
+            validation
+          };
+        }));
+        return { success: true, staged: true, files: stagedFiles, rejected: rejectedFiles };
+      }
+
+      const toWrite = await Promise.all(parsedFiles.map(async ({ fullPath, content }) => ({
+        path: path.relative(folderPath, fullPath),
+        content,
+        previous: await readFileIfExists(fullPath)
+      })));
+      const { buildId, files: writtenFiles, error: writeError } = await writeJournaledBuild(folderPath, toWrite);
+      const createdFiles = writtenFiles.map((file, index) => ({ ...file, validation: parsedFiles[index].validation }));
+
+      return {
+        success: !writeError,
+        ...(writeError && { error: `Failed to write files: ${writeError}` }),
+        files: createdFiles,
+        buildId,
+        rejected: rejectedFiles
+      };
+    } catch (error) {
+      if (isAbortError(error)) {
+        return { success: false, cancelled: true, error: 'Build cancelled.' };
+      }
+      return { success: false, error: error.message };
+    } finally {
+      request.release();
+    }
+  });
+
+  // Tweaker mode (routed to the "tweak" task): find the files the message is about,
+  // ask for minimal search/replace edits and stage the patched files for review
+  ipcMain.handle('execute-tweak', async (_event, { userMessage, folderPath, requestId }) => {
+    const request = trackRequest(requestId);
+    try {
+      if (!folderPath) {
+        return { success: false, error: 'No project folder open.' };
+      }
+      await assertInsideWorkspace(folderPath);
+
+      const candidates = rankTweakCandidates(userMessage || '', await listProjectSourceFiles(folderPath));
+      if (candidates.length === 0) {
+        return {
+          success: false,
+          error: 'Could not tell which files this change is about. Try mentioning a file, component or class name.'
+        };
+      }
+
+      const styleGuideText = formatStyleGuideForPrompt(await loadStyleGuide(folderPath));
+      const filesText = candidates.map(file => `=== FILE: ${file.path} ===\n${file.content}\n=== END FILE ===`).join('\n\n');
+
+      const system = `You are an expert front-end developer making small, targeted edits to an existing project.
+
+Return a JSON object with:
+- "summary": one or two sentences describing what you changed.
+- "edits": a list of { "path", "search", "replace" } edits.
+
+**EDIT RULES:**
+- Change only what the request asks for. Keep formatting, naming and structure as they are.
+- "path" must be one of the file paths shown below, written exactly the same way.
+- "search" must be copied character-for-character from the current file and be long enough to match exactly once.
+- Prefer several small edits over rewriting large blocks.
+- To create a new file, use an empty "search" and put the whole file in "replace".
+- If the request cannot be done in these files, return no edits and explain why in "summary".
+
+**Project Style Guide:**
+${styleGuideText || 'No style guide configured.'}`;
+
+      const prompt = `**Request:** ${userMessage}
+
+**Relevant project files:**
+${filesText}`;
+
+      const response = await generateForProjectTask(folderPath, 'tweak', {
+        system,
+        prompt,
+        schema: TWEAK_SCHEMA,
+        temperature: 0.2,
+        signal: request.signal
+      });
+      const { summary, edits } = parseTweakResponse(response);
+
+      if (edits.length === 0) {
+        return { success: false, error: summary || 'The AI did not suggest any changes.' };
+      }
+
+      // Current contents of every file an edit touches (null = new file)
+      const originals = new Map(candidates.map(file => [file.path, file.content]));
+      const rejected = [];
+      for (const edit of edits) {
+        if (originals.has(edit.path)) continue;
+        const fullPath = path.join(folderPath, edit.path);
+        if (path.isAbsolute(edit.path) || !(await isInsideWorkspace(fullPath))) {
+          rejected.push(edit.path);
+          continue;
+        }
+        originals.set(edit.path, await readFileIfExists(fullPath));
+      }
+
+      const { files, failed } = applyTweakEdits(
+        originals,
+        edits.filter(edit => !rejected.includes(edit.path))
+      );
+
+      if (files.size === 0) {
+        const reasons = failed.map(f => `${f.path}: ${f.reason}`).join('; ');
+        return { success: false, error: `None of the suggested edits could be applied${reasons ? ` (${reasons})` : ''}.` };
+      }
+
+      const stagedFiles = [...files.entries()].map(([filePath, content]) => {
+        const original = originals.get(filePath);
+        return {
+          path: filePath,
+          content,
+          original,
+          status: original === null ? 'new' : original === content ? 'unchanged' : 'modified',
+          validation: { ...validateSource(content, filePath), attempts: 0 }
+        };
+      });
+
+      return {
+        success: true,
+        staged: true,
+        summary: summary || 'Changes ready for review.',
+        files: stagedFiles,
+        modifiedFiles: stagedFiles.map(file => file.path),
+        failed,
+        rejected
+      };
+    } catch (error) {
+      if (isAbortError(error)) {
+        return { success: false, cancelled: true, error: 'Tweak cancelled.' };
+      }
+      return { success: false, error: error.message };
+    } finally {
+      request.release();
+    }
+  });
+
+  // Write the staged build files the user accepted. `original` is the disk content the
+  // user reviewed; a file that changed since then is reported as a conflict, not overwritten.
+  ipcMain.handle('apply-build-files', async (_event, { folderPath, files = [] }) => {
+    try {
+      if (!folderPath) {
+        return { success: false, error: 'No project folder open.' };
+      }
+
+      await assertInsideWorkspace(folderPath);
+      const toWrite = [];
+      const conflicts = [];
+      for (const file of files) {
+        await assertInsideWorkspace(path.join(folderPath, file.path));
+        const current = await readFileIfExists(path.join(folderPath, file.path));
+        if (current !== file.original) {
+          conflicts.push(file.path);
+          continue;
+        }
+        toWrite.push({ path: file.path, content: file.content, previous: current });
+      }
+
+      // A failed write still returns the buildId, so the files written before it can be undone
+      const { buildId, files: written, error } = await writeJournaledBuild(folderPath, toWrite);
+      return { success: !error, ...(error && { error }), files: written, conflicts, buildId };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Roll back a journaled build: delete the files it created, restore the ones it overwrote.
+  // Files edited since the build are left alone and reported as conflicts.
+  ipcMain.handle('undo-build', async (_event, { folderPath, buildId }) => {
+    try {
+      if (!folderPath || !buildId) {
+        return { success: false, error: 'No build to undo.' };
+      }
+
+      const journalPath = getBuildJournalPath(folderPath, buildId);
+      await assertInsideWorkspace(journalPath);
+      const journal = JSON.parse(await fs.readFile(journalPath, 'utf-8'));
+      if (journal.undoneAt) {
+        return { success: false, error: 'This build has already been undone.' };
+      }
+
+      const restored = [];
+      const removed = [];
+      const conflicts = [];
+      // Reverse order so a path written twice ends up with its original contents
+      for (const file of [...journal.files].reverse()) {
+        const fullPath = path.join(folderPath, file.path);
+        await assertInsideWorkspace(fullPath);
+        // Journals written before writtenHash existed cannot be checked
+        if (file.writtenHash) {
+          const current = await readFileIfExists(fullPath);
+          if (current === null || hashContent(current) !== file.writtenHash) {
+            conflicts.push(file.path);
+            continue;
+          }
+        }
+        if (file.previous === null) {
+          await fs.rm(fullPath, { force: true });
+          removed.push(file.path);
+        } else {
+          await fs.mkdir(path.dirname(fullPath), { recursive: true });
+          await fs.writeFile(fullPath, file.previous, 'utf-8');
+          restored.push(file.path);
+        }
+      }
+
+      // Remove the directories the build created (rmdir only succeeds when they are empty again)
+      const createdDirs = [...(journal.createdDirs || [])].sort((a, b) => b.length - a.length);
+      for (const dir of createdDirs) {
+        try {
+          await fs.rmdir(path.join(folderPath, dir));
+        } catch {
+          // Something else lives there now; leave it
+        }
+      }
+
+      journal.undoneAt = new Date().toISOString();
+      journal.conflicts = conflicts;
+      await fs.writeFile(journalPath, JSON.stringify(journal, null, 2), 'utf-8');
+
+      return { success: true, restored, removed, conflicts };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { success: false, error: 'Build journal not found.' };
+      }
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Version history of a component file (see COMPONENT VERSION HISTORY); `history` is null when none was saved
+  ipcMain.handle('load-component-history', async (_event, { folderPath, filePath }) => {
+    try {
+      if (!folderPath || !filePath) {
+        return { success: false, error: 'A project folder and component file are required.' };
+      }
+      await assertInsideWorkspace(filePath);
+      const historyPath = getComponentHistoryPath(folderPath, filePath);
+      await assertInsideWorkspace(historyPath);
+      const history = JSON.parse(await fs.readFile(historyPath, 'utf-8'));
+      if (!Array.isArray(history.versions) || history.versions.length === 0) {
+        return { success: true, history: null };
+      }
+      return { success: true, history };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { success: true, history: null };
+      }
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('save-component-history', async (_event, { folderPath, filePath, versions, currentIndex }) => {
+    try {
+      if (!folderPath || !filePath) {
+        return { success: false, error: 'A project folder and component file are required.' };
+      }
+      if (!Array.isArray(versions) || versions.length === 0) {
+        return { success: false, error: 'No versions to save.' };
+      }
+      await assertInsideWorkspace(filePath);
+      const historyPath = getComponentHistoryPath(folderPath, filePath);
+      await assertInsideWorkspace(historyPath);
+
+      const history = {
+        file: path.relative(folderPath, filePath).split(path.sep).join('/'),
+        ...trimComponentHistory({ versions, currentIndex: Number.isInteger(currentIndex) ? currentIndex : versions.length - 1 })
+      };
+      await fs.mkdir(path.dirname(historyPath), { recursive: true });
+      await fs.writeFile(historyPath, JSON.stringify(history, null, 2), 'utf-8');
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Screenshot generated output and compare it with the design image.
+  // Renders `html` (a preview document), `filePath` (a project file) or `url` (a preview server).
+  ipcMain.handle('visual-check', async (_event, { html, filePath, url: pageUrl, designImage, folderPath, critique = true, requestId }) => {
+    const request = trackRequest(requestId);
+    try {
+      if (!designImage) {
+        return { success: false, error: 'No design image to compare against.' };
+      }
+      if (!html && !filePath && !pageUrl) {
+        return { success: false, error: 'Nothing to render for the visual check.' };
+      }
+      if (filePath) await assertInsideWorkspace(filePath);
+
+      const designPart = toImagePart(designImage);
+      const design = nativeImage.createFromBuffer(Buffer.from(designPart.data, 'base64'));
+      if (design.isEmpty()) {
+        return { success: false, error: 'Could not read the design image.' };
+      }
+
+      const { viewport, compareSize } = visualCompareGeometry(design.getSize());
+      const { image: screenshot } = await captureRenderedPage({
+        html,
+        pageUrl: filePath ? url.pathToFileURL(filePath).href : pageUrl,
+        ...viewport
+      });
+      if (screenshot.isEmpty()) {
+        return { success: false, error: 'The rendered output produced an empty screenshot.' };
+      }
+
+      const { mismatch, ssim, heatmap } = compareBitmaps(
+        toCompareBitmap(design, compareSize),
+        toCompareBitmap(screenshot, compareSize),
+        compareSize.width,
+        compareSize.height
+      );
+
+      // The critique is a bonus: a missing API key should not hide the pixel comparison
+      let critiqueText = '';
+      let critiqueError = null;
+      if (critique) {
+        try {
+          const text = await generateForProjectTask(folderPath, 'visual-check', {
+            prompt: VISUAL_CHECK_PROMPT,
+            images: [designPart, { mimeType: 'image/jpeg', data: screenshot.toJPEG(85).toString('base64') }],
+            temperature: 0.2,
+            signal: request.signal
+          });
+          critiqueText = text.trim();
+        } catch (error) {
+          if (isAbortError(error)) throw error;
+          critiqueError = error.message;
+        }
+      }
+
       return {
         success: true,
-        files: createdFiles
+        screenshot: screenshot.toDataURL(),
+        heatmap: nativeImage.createFromBitmap(heatmap, compareSize).toDataURL(),
+        score: { mismatch, ssim, similarity: similarityScore({ mismatch, ssim }) },
+        critique: critiqueText,
+        critiqueError
       };
     } catch (error) {
+      if (isAbortError(error)) {
+        return { success: false, cancelled: true, error: 'Visual check cancelled.' };
+      }
+      // eslint-disable-next-line no-console
+      console.error('[visual-check] Error:', error);
+      return { success: false, error: error.message };
+    } finally {
+      request.release();
+    }
+  });
+
+  // "Fix differences" for a generated component: apply the visual-check critique to its code
+  ipcMain.handle('fix-visual-differences', async (_event, { code, language, critique, fileName, folderPath, requestId }) => {
+    const request = trackRequest(requestId);
+    try {
+      if (!code || !critique) {
+        return { success: false, error: 'Nothing to fix.' };
+      }
+
+      const prompt = `The ${language || ''} component below was generated from a design, but comparing a screenshot of it with the design found these differences:
+
+${critique}
+
+**Component Code:**
+\`\`\`
+${code}
+\`\`\`
+
+Update the code so the rendered result matches the design. Fix the listed differences only; keep the structure, naming and behaviour otherwise unchanged.
+Return ONLY the complete updated component code. No markdown fences, no explanations.`;
+
+      const raw = await generateForProjectTask(folderPath, 'component-build', {
+        prompt,
+        temperature: 0.2,
+        signal: request.signal
+      });
+      const { code: updatedCode, validation } = await validateAndRepair({
+        folderPath,
+        task: 'component-build',
+        code: stripCodeFences(raw.trim()),
+        fileName: fileName || `Component.${languageToExtension(language)}`,
+        signal: request.signal
+      });
+
+      return { success: true, updatedCode, validation };
+    } catch (error) {
+      if (isAbortError(error)) {
+        return { success: false, cancelled: true, error: 'Fix cancelled.' };
+      }
       return { success: false, error: error.message };
+    } finally {
+      request.release();
     }
   });
 
@@ -1552,6 +2475,7 @@ ${buildPlan.detailedPrompt}
   // Preview server handlers
   ipcMain.handle('start-preview-server', async (_event, { folderPath }) => {
     try {
+      await assertInsideWorkspace(folderPath);
       await stopExistingPreviewServer();
 
       const pkgInfo = await readPackageJson(folderPath);
@@ -1652,6 +2576,7 @@ ${buildPlan.detailedPrompt}
 };
 
 app.whenReady().then(() => {
+  handlePreviewRuntimeProtocol();
   registerIpcHandlers();
   createWindow();
 });
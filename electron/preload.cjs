@@ -35,10 +35,32 @@ const api = {
   buildComponent: payload => ipcRenderer.invoke('build-component', payload),
   selectComponentVariation: payload => ipcRenderer.invoke('select-component-variation', payload),
   editComponentElement: payload => ipcRenderer.invoke('edit-component-element', payload),
+  applyElementStyles: payload => ipcRenderer.invoke('apply-element-styles', payload),
+  applyElementText: payload => ipcRenderer.invoke('apply-element-text', payload),
+  bundleComponentPreview: payload => ipcRenderer.invoke('bundle-component-preview', payload),
+  instrumentSource: payload => ipcRenderer.invoke('instrument-source', payload),
+  listAiModels: () => ipcRenderer.invoke('list-ai-models'),
+  getVariationOptions: () => ipcRenderer.invoke('get-variation-options'),
   // Build feature
   analyzeBuildDesign: payload => ipcRenderer.invoke('analyze-build-design', payload),
   refineBuildPlan: payload => ipcRenderer.invoke('refine-build-plan', payload),
-  executeBuild: payload => ipcRenderer.invoke('execute-build', payload)
+  executeBuild: payload => ipcRenderer.invoke('execute-build', payload),
+  executeTweak: payload => ipcRenderer.invoke('execute-tweak', payload),
+  applyBuildFiles: payload => ipcRenderer.invoke('apply-build-files', payload),
+  undoBuild: payload => ipcRenderer.invoke('undo-build', payload),
+  loadComponentHistory: payload => ipcRenderer.invoke('load-component-history', payload),
+  saveComponentHistory: payload => ipcRenderer.invoke('save-component-history', payload),
+  visualCheck: payload => ipcRenderer.invoke('visual-check', payload),
+  scoreComponentVariations: payload => ipcRenderer.invoke('score-component-variations', payload),
+  fixVisualDifferences: payload => ipcRenderer.invoke('fix-visual-differences', payload),
+  cancelAiRequest: requestId => ipcRenderer.invoke('cancel-ai-request', { requestId }),
+  // Streamed model output for build-component / execute-build, keyed by requestId
+  onAiStream: handler => {
+    if (!handler) return () => {};
+    const wrapped = (_event, payload) => handler(payload);
+    ipcRenderer.on('ai-stream', wrapped);
+    return () => ipcRenderer.removeListener('ai-stream', wrapped);
+  }
 };
 
 contextBridge.exposeInMainWorld('editorAPI', api);
@@ -0,0 +1,333 @@
+// ============================================
+// COMPONENT PREVIEW BUNDLER
+// ============================================
+//
+// Turns a React, Vue or Svelte component (plus whatever it imports) into a
+// self-contained preview document instead of regex-stripping its imports:
+//   - relative imports (and "@/..." for src/) are resolved inside the project,
+//     compiled (Babel for JSX + TypeScript, vue/compiler-sfc for .vue,
+//     svelte/compiler for .svelte) and embedded as data: URL modules
+//   - CSS imports become modules that inject a <style>; .module.css returns
+//     the class names unchanged
+//   - JSON and image imports become default exports
+//   - bare imports go through PREVIEW_IMPORT_MAP (locally vendored packages)
+// Every module gets an "@project/<path>" id in the document's import map.
+// Anything that cannot be resolved is reported instead of half-rendering.
+
+import Babel from '@babel/standalone';
+import { createHash } from 'crypto';
+import path from 'path';
+import { compile as compileSvelte, preprocess as preprocessSvelte } from 'svelte/compiler';
+import {
+  compileScript as compileSfcScript,
+  compileStyle as compileSfcStyle,
+  compileTemplate as compileSfcTemplate,
+  parse as parseSfc
+} from 'vue/compiler-sfc';
+import { PREVIEW_IMPORT_MAP, PREVIEW_RUNTIME_SCRIPTS } from './previewRuntime.js';
+
+const MAX_MODULES = 200;
+const MAX_ASSET_BYTES = 2 * 1024 * 1024;
+
+const SCRIPT_EXTENSIONS = ['.jsx', '.tsx', '.js', '.ts', '.mjs'];
+const RESOLVE_EXTENSIONS = [...SCRIPT_EXTENSIONS, '.vue', '.svelte', '.css', '.json'];
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+
+const toPosix = value => value.split(path.sep).join('/');
+const moduleId = (rootDir, filePath) => `@project/${toPosix(path.relative(rootDir, filePath))}`;
+const toDataUrl = (source, mimeType = 'text/javascript') =>
+  `data:${mimeType};base64,${Buffer.from(source).toString('base64')}`;
+
+const isInside = (rootDir, filePath) => {
+  const relative = path.relative(rootDir, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+// Babel plugin: record (and optionally rewrite) every import/export source and import() literal
+const specifierPlugin = (onSpecifier) => () => ({
+  visitor: {
+    'ImportDeclaration|ExportNamedDeclaration|ExportAllDeclaration'(nodePath) {
+      const source = nodePath.node.source;
+      if (source) source.value = onSpecifier(source.value);
+    },
+    CallExpression(nodePath) {
+      const [argument] = nodePath.node.arguments;
+      if (nodePath.node.callee.type === 'Import' && argument?.type === 'StringLiteral') {
+        argument.value = onSpecifier(argument.value);
+      }
+    }
+  }
+});
+
+const REACT_PRESETS = [
+  ['react', { runtime: 'automatic' }],
+  ['typescript', { isTSX: true, allExtensions: true }]
+];
+// Vue/Svelte output: only strip types, and keep imports that are used from the template
+const TYPESCRIPT_PRESETS = [['typescript', { allExtensions: true, onlyRemoveTypeImports: true }]];
+
+const compileScript = (code, filePath, presets = REACT_PRESETS) => {
+  const specifiers = new Set();
+  const { code: compiled } = Babel.transform(code, {
+    filename: filePath,
+    sourceType: 'module',
+    presets,
+    plugins: [specifierPlugin(specifier => {
+      specifiers.add(specifier);
+      return specifier;
+    })]
+  });
+  return { compiled, specifiers: [...specifiers] };
+};
+
+const rewriteSpecifiers = (code, mapping) =>
+  Babel.transform(code, {
+    sourceType: 'module',
+    plugins: [specifierPlugin(specifier => mapping.get(specifier) || specifier)]
+  }).code;
+
+const styleInjection = (css, relativePath) => `{
+  const style = document.createElement('style');
+  style.dataset.previewSource = ${JSON.stringify(relativePath)};
+  style.textContent = ${JSON.stringify(css)};
+  document.head.appendChild(style);
+}`;
+
+const cssModule = (css, relativePath, isCssModule) => `${styleInjection(css, relativePath)}
+export default ${isCssModule ? 'new Proxy({}, { get: (_target, key) => (typeof key === \'string\' ? key : undefined) })' : '{}'};`;
+
+// Vue single-file component -> one ES module (script, render function and injected styles)
+const compileVue = (source, filePath, relativePath) => {
+  const { descriptor, errors } = parseSfc(source, { filename: filePath });
+  if (errors.length > 0) throw new Error(errors[0].message);
+
+  const id = createHash('sha256').update(relativePath).digest('hex').slice(0, 8);
+  const scoped = descriptor.styles.some(style => style.scoped);
+  const lines = [];
+  let bindings;
+
+  if (descriptor.script || descriptor.scriptSetup) {
+    // <script setup> gets its template inlined here
+    const script = compileSfcScript(descriptor, { id, inlineTemplate: true, genDefaultAs: '_sfc_main' });
+    lines.push(script.content);
+    bindings = script.bindings;
+  } else {
+    lines.push('const _sfc_main = {};');
+  }
+
+  if (descriptor.template && !descriptor.scriptSetup) {
+    const template = compileSfcTemplate({
+      source: descriptor.template.content,
+      filename: filePath,
+      id,
+      scoped,
+      compilerOptions: { bindingMetadata: bindings }
+    });
+    if (template.errors.length > 0) {
+      const [error] = template.errors;
+      throw new Error(typeof error === 'string' ? error : error.message);
+    }
+    lines.push(template.code.replace(/\bexport function render\b/, 'function _sfc_render'));
+    lines.push('_sfc_main.render = _sfc_render;');
+  }
+
+  if (scoped) lines.push(`_sfc_main.__scopeId = ${JSON.stringify(`data-v-${id}`)};`);
+  descriptor.styles.forEach(style => {
+    const { code } = compileSfcStyle({ source: style.content, filename: filePath, id: `data-v-${id}`, scoped: style.scoped });
+    lines.push(styleInjection(code, relativePath));
+  });
+  lines.push('export default _sfc_main;');
+  return lines.join('\n');
+};
+
+// Svelte component -> ES module with its CSS injected at runtime
+const compileSvelteComponent = async (source, filePath) => {
+  const { code } = await preprocessSvelte(source, {
+    script: ({ content, attributes }) => {
+      if (attributes.lang !== 'ts' && attributes.lang !== 'typescript') return undefined;
+      return {
+        code: Babel.transform(content, { filename: `${filePath}.ts`, presets: TYPESCRIPT_PRESETS }).code
+      };
+    }
+  }, { filename: filePath });
+  return compileSvelte(code, { filename: filePath, css: 'injected' }).js.code;
+};
+
+const FRAMEWORK_BY_EXTENSION = { '.vue': 'vue', '.svelte': 'svelte' };
+
+// Try the specifier as written, with each known extension, then as a directory index
+const resolveRelative = async (basePath, readSource) => {
+  const candidates = [
+    basePath,
+    ...RESOLVE_EXTENSIONS.map(ext => `${basePath}${ext}`),
+    ...SCRIPT_EXTENSIONS.map(ext => path.join(basePath, `index${ext}`))
+  ];
+  for (const candidate of candidates) {
+    const content = await readSource(candidate);
+    if (content !== null) return { filePath: candidate, content };
+  }
+  return null;
+};
+
+/**
+ * Bundle a component for preview.
+ *   code       - source of the entry component (may be unsaved)
+ *   entryPath  - absolute path the entry lives (or will live) at; relative imports resolve from here
+ *   rootDir    - project root; nothing outside it is read
+ *   readSource - async (absolutePath) => Buffer | null
+ * Returns { importMap, entryId, framework, modules, unresolved: [{ specifier, importer }] }.
+ */
+export const bundlePreview = async ({ code, entryPath, rootDir, readSource }) => {
+  const imports = { ...PREVIEW_IMPORT_MAP };
+  const unresolved = [];
+  const visited = new Set();
+  const entryId = moduleId(rootDir, entryPath);
+
+  const resolveSpecifier = async (specifier, importer) => {
+    if (PREVIEW_IMPORT_MAP[specifier]) return { id: specifier };
+
+    let basePath = null;
+    if (specifier.startsWith('./') || specifier.startsWith('../')) {
+      basePath = path.resolve(path.dirname(importer), specifier);
+    } else if (specifier.startsWith('@/')) {
+      basePath = path.join(rootDir, 'src', specifier.slice(2));
+    } else if (specifier.startsWith('/')) {
+      basePath = path.join(rootDir, specifier);
+    }
+    if (!basePath || !isInside(rootDir, basePath)) return null;
+
+    if (basePath === entryPath) return { id: entryId };
+    const found = await resolveRelative(basePath, async candidate =>
+      candidate === entryPath ? Buffer.from(code) : readSource(candidate));
+    return found && { id: moduleId(rootDir, found.filePath), ...found };
+  };
+
+  const addModule = async (filePath, content) => {
+    const id = moduleId(rootDir, filePath);
+    if (visited.has(id)) return;
+    visited.add(id);
+    if (visited.size > MAX_MODULES) {
+      throw new Error(`The component imports more than ${MAX_MODULES} modules; preview aborted.`);
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    const relativePath = toPosix(path.relative(rootDir, filePath));
+
+    if (extension === '.css') {
+      imports[id] = toDataUrl(cssModule(content.toString('utf-8'), relativePath, filePath.endsWith('.module.css')));
+      return;
+    }
+    if (extension === '.json') {
+      imports[id] = toDataUrl(`export default ${content.toString('utf-8')};`);
+      return;
+    }
+    if (IMAGE_MIME_TYPES[extension]) {
+      const asset = content.length <= MAX_ASSET_BYTES ? toDataUrl(content, IMAGE_MIME_TYPES[extension]) : '';
+      imports[id] = toDataUrl(`export default ${JSON.stringify(asset)};`);
+      return;
+    }
+
+    let compiled;
+    let specifiers;
+    try {
+      const source = content.toString('utf-8');
+      if (extension === '.vue') {
+        ({ compiled, specifiers } = compileScript(compileVue(source, filePath, relativePath), `${filePath}.ts`, TYPESCRIPT_PRESETS));
+      } else if (extension === '.svelte') {
+        ({ compiled, specifiers } = compileScript(await compileSvelteComponent(source, filePath), `${filePath}.js`, []));
+      } else {
+        ({ compiled, specifiers } = compileScript(source, filePath));
+      }
+    } catch (error) {
+      throw new Error(`${relativePath}: ${error.message}`);
+    }
+
+    const mapping = new Map();
+    for (const specifier of specifiers) {
+      const resolved = await resolveSpecifier(specifier, filePath);
+      if (!resolved) {
+        unresolved.push({ specifier, importer: relativePath });
+        continue;
+      }
+      mapping.set(specifier, resolved.id);
+      if (resolved.content) await addModule(resolved.filePath, resolved.content);
+    }
+    imports[id] = toDataUrl(rewriteSpecifiers(compiled, mapping));
+  };
+
+  await addModule(entryPath, Buffer.from(code));
+  return {
+    importMap: { imports },
+    entryId,
+    framework: FRAMEWORK_BY_EXTENSION[path.extname(entryPath).toLowerCase()] || 'react',
+    modules: visited.size,
+    unresolved
+  };
+};
+
+const PREVIEW_BASE_STYLE = 'html,body,#root{margin:0;padding:0;height:100%;background:#0b0d12;color:#f5f5f7;font-family:Segoe UI,system-ui,sans-serif;}*{box-sizing:border-box;}';
+
+// JSON inside a <script> must not be able to close the tag
+const scriptSafeJson = value => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const SHOW_ERROR_SCRIPT = `const showError = (msg) => {
+      const rootEl = document.getElementById('root');
+      rootEl.style.padding = '16px';
+      rootEl.style.color = '#ff9b9b';
+      rootEl.style.fontFamily = 'monospace';
+      rootEl.style.whiteSpace = 'pre-wrap';
+      rootEl.textContent = 'Preview error: ' + msg;
+    };`;
+
+const documentShell = (head, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8" />
+  <style>${PREVIEW_BASE_STYLE}</style>
+  ${head}
+</head>
+<body>
+  <div id="root"></div>
+  ${body}
+</body>
+</html>`;
+
+// How each framework mounts `Component` into #root
+const MOUNT_SCRIPTS = {
+  react: `ReactDOM.createRoot(document.getElementById('root')).render(React.createElement(Component));`,
+  vue: `const { createApp } = await import('vue');
+        createApp(Component).mount('#root');`,
+  svelte: `new Component({ target: document.getElementById('root') });`
+};
+
+// Preview document for a bundle: the runtime, the import map and a module that mounts the entry
+export const renderPreviewDocument = ({ importMap, entryId, framework = 'react' }) => documentShell(
+  [
+    ...(framework === 'react' ? PREVIEW_RUNTIME_SCRIPTS.map(src => `<script src="${src}"></script>`) : []),
+    `<script type="importmap">${scriptSafeJson(importMap)}</script>`
+  ].join('\n  '),
+  `<script type="module">
+    ${SHOW_ERROR_SCRIPT}
+    window.addEventListener('error', event => showError(event.message));
+    import(${scriptSafeJson(entryId)})
+      .then(async mod => {
+        const Component = mod.default || Object.values(mod).find(value => typeof value === 'function');
+        if (!Component) throw new Error('No default export found');
+        ${MOUNT_SCRIPTS[framework]}
+      })
+      .catch(err => showError(err && err.message ? err.message : String(err)));
+  </script>`
+);
+
+// Same shell, showing `message` instead of the component
+export const renderPreviewErrorDocument = message => documentShell('', `<script>
+    ${SHOW_ERROR_SCRIPT}
+    showError(${scriptSafeJson(message)});
+  </script>`);
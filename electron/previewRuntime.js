@@ -0,0 +1,152 @@
+// ============================================
+// OFFLINE PREVIEW RUNTIME
+// ============================================
+//
+// Component previews are srcdoc iframes that need React and ReactDOM (or the
+// Vue / Svelte runtimes). Instead of loading them from a CDN they are served
+// from the app's own node_modules through a privileged scheme:
+//   preview-runtime://runtime/react.development.js     UMD build (sets window.React)
+//   preview-runtime://runtime/modules/react.js         ES module re-exporting the global
+//   preview-runtime://runtime/packages/vue/dist/...    browser ES modules shipped by a package
+// The module URLs make up PREVIEW_IMPORT_MAP, which previewBundler.js uses for
+// bare imports, so the component workflow keeps working with no network.
+
+import { protocol } from 'electron';
+import fs from 'fs/promises';
+import { createRequire } from 'module';
+import path from 'path';
+
+const require = createRequire(import.meta.url);
+
+export const PREVIEW_RUNTIME_SCHEME = 'preview-runtime';
+const RUNTIME_BASE_URL = `${PREVIEW_RUNTIME_SCHEME}://runtime`;
+
+// File name in the URL -> [package, file inside it]; versions are pinned by package.json
+const RUNTIME_FILES = {
+  'react.development.js': ['react', 'umd/react.development.js'],
+  'react-dom.development.js': ['react-dom', 'umd/react-dom.development.js']
+};
+
+// Classic scripts React previews load before their modules
+export const PREVIEW_RUNTIME_SCRIPTS = Object.keys(RUNTIME_FILES).map(file => `${RUNTIME_BASE_URL}/${file}`);
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// ES module that re-exports a UMD global under the package's own export names
+const globalModule = (globalName, packageName) => {
+  const names = Object.keys(require(packageName)).filter(name => name !== 'default' && IDENTIFIER.test(name));
+  return [
+    `const mod = window.${globalName};`,
+    'export default mod;',
+    names.length > 0 ? `export const { ${names.join(', ')} } = mod;` : ''
+  ].join('\n');
+};
+
+// The automatic JSX runtime on top of React.createElement (the UMD build has no jsx-runtime)
+const JSX_RUNTIME_MODULE = `const React = window.React;
+export const Fragment = React.Fragment;
+export const jsx = (type, props, key) => React.createElement(type, key === undefined ? props : { ...props, key });
+export const jsxs = jsx;
+export const jsxDEV = jsx;`;
+
+// Bare specifier -> module file name and source builder
+const RUNTIME_MODULES = {
+  'react': ['react.js', () => globalModule('React', 'react')],
+  'react-dom': ['react-dom.js', () => globalModule('ReactDOM', 'react-dom')],
+  'react-dom/client': ['react-dom-client.js', () => globalModule('ReactDOM', 'react-dom/client')],
+  'react/jsx-runtime': ['jsx-runtime.js', () => JSX_RUNTIME_MODULE],
+  'react/jsx-dev-runtime': ['jsx-runtime.js', () => JSX_RUNTIME_MODULE]
+};
+
+// Bare specifier -> [package, browser ES module inside it]. Relative imports between
+// the package's files resolve against the same URL prefix.
+const PACKAGE_MODULES = {
+  'vue': ['vue', 'dist/vue.runtime.esm-browser.js'],
+  'svelte': ['svelte', 'src/runtime/index.js'],
+  'svelte/internal': ['svelte', 'src/runtime/internal/index.js'],
+  'svelte/internal/disclose-version': ['svelte', 'src/runtime/internal/disclose-version/index.js'],
+  'svelte/store': ['svelte', 'src/runtime/store/index.js'],
+  'svelte/transition': ['svelte', 'src/runtime/transition/index.js'],
+  'svelte/animate': ['svelte', 'src/runtime/animate/index.js'],
+  'svelte/easing': ['svelte', 'src/runtime/easing/index.js'],
+  'svelte/motion': ['svelte', 'src/runtime/motion/index.js']
+};
+const SERVED_PACKAGES = new Set(Object.values(PACKAGE_MODULES).map(([packageName]) => packageName));
+
+export const PREVIEW_IMPORT_MAP = {
+  ...Object.fromEntries(
+    Object.entries(RUNTIME_MODULES).map(([specifier, [file]]) => [specifier, `${RUNTIME_BASE_URL}/modules/${file}`])
+  ),
+  ...Object.fromEntries(
+    Object.entries(PACKAGE_MODULES).map(([specifier, [packageName, file]]) => [specifier, `${RUNTIME_BASE_URL}/packages/${packageName}/${file}`])
+  )
+};
+
+const moduleSources = new Map(); // file name -> generated source, built on first request
+
+const readRuntimeModule = fileName => {
+  if (!moduleSources.has(fileName)) {
+    const entry = Object.values(RUNTIME_MODULES).find(([file]) => file === fileName);
+    if (!entry) return null;
+    moduleSources.set(fileName, entry[1]());
+  }
+  return moduleSources.get(fileName);
+};
+
+// Resolved through package.json because the packages' "exports" hide their UMD builds
+const resolvePackageRoot = packageName => path.dirname(require.resolve(`${packageName}/package.json`));
+const resolveRuntimeFile = ([packageName, file]) => path.join(resolvePackageRoot(packageName), file);
+
+// "vue/dist/vue.runtime.esm-browser.js" -> file path, only for served packages and never outside them
+const resolvePackageFile = requestPath => {
+  const packageName = [...SERVED_PACKAGES].find(name => requestPath.startsWith(`${name}/`));
+  if (!packageName) return null;
+  const root = resolvePackageRoot(packageName);
+  const filePath = path.resolve(root, requestPath.slice(packageName.length + 1));
+  const relative = path.relative(root, filePath);
+  if (relative.startsWith('..') || path.isAbsolute(relative) || !/\.m?js$/.test(filePath)) return null;
+  return filePath;
+};
+
+// Must run before the app is ready
+export const registerPreviewRuntimeScheme = () => {
+  protocol.registerSchemesAsPrivileged([
+    {
+      scheme: PREVIEW_RUNTIME_SCHEME,
+      privileges: { standard: true, secure: true, supportFetchAPI: true, corsEnabled: true }
+    }
+  ]);
+};
+
+export const handlePreviewRuntimeProtocol = () => {
+  protocol.handle(PREVIEW_RUNTIME_SCHEME, async request => {
+    const fileName = new URL(request.url).pathname.replace(/^\/+/, '');
+
+    try {
+      let content = null;
+      if (fileName.startsWith('modules/')) {
+        content = readRuntimeModule(fileName.slice('modules/'.length));
+      } else if (fileName.startsWith('packages/')) {
+        const filePath = resolvePackageFile(decodeURIComponent(fileName.slice('packages/'.length)));
+        content = filePath ? await fs.readFile(filePath).catch(() => null) : null;
+      } else if (RUNTIME_FILES[fileName]) {
+        content = await fs.readFile(resolveRuntimeFile(RUNTIME_FILES[fileName]));
+      }
+      if (content === null) {
+        return new Response('Not found', { status: 404 });
+      }
+
+      return new Response(content, {
+        headers: {
+          'content-type': 'text/javascript; charset=utf-8',
+          'access-control-allow-origin': '*',
+          'cache-control': 'max-age=31536000, immutable'
+        }
+      });
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('[preview-runtime] Failed to serve', fileName, error);
+      return new Response('Runtime file missing', { status: 500 });
+    }
+  });
+};
@@ -0,0 +1,232 @@
+// ============================================
+// SOURCE LOCATIONS
+// ============================================
+//
+// Maps rendered preview elements back to the component source. The preview
+// build runs instrumentSource() on the component, which stamps every
+// element with data-source-loc="start:end" (character offsets of the element
+// in the original code). The inspector reads the attribute from the clicked
+// element, so edits can send and replace just that span.
+//
+// collectElements() lists the elements of a source file, whatever the language:
+//   .jsx/.tsx      -> @babel/parser
+//   .html          -> parse5
+//   .vue           -> the <template> (vue/compiler-sfc)
+//   .svelte        -> the markup (svelte/compiler)
+// Each element is
+//   { kind: 'attribute' | 'jsx', tagName, classes, dynamicClasses, start, end, nameEnd, style }
+// where nameEnd is the offset right after the tag name (where attributes can be
+// inserted) and style describes the element's inline style (see styleEdits.js).
+
+import { parse as parseBabel } from '@babel/parser';
+import { parse as parseHtml } from 'parse5';
+import { parse as parseSfc } from 'vue/compiler-sfc';
+import { parse as parseSvelte } from 'svelte/compiler';
+
+export const SOURCE_LOC_ATTRIBUTE = 'data-source-loc';
+
+const getExtension = fileName => (fileName || '').split('.').pop().toLowerCase();
+
+export const splitClasses = value => String(value || '').split(/\s+/).filter(Boolean);
+
+const collectHtmlElements = code => {
+  const elements = [];
+  const walk = node => {
+    (node.childNodes || []).forEach(child => {
+      const location = child.sourceCodeLocation;
+      // Elements parse5 adds itself (html, head, body) have no location
+      if (child.tagName && location?.startTag) {
+        const attrs = Object.fromEntries((child.attrs || []).map(attr => [attr.name, attr.value]));
+        const styleLocation = location.attrs?.style;
+        elements.push({
+          kind: 'attribute',
+          tagName: child.tagName,
+          classes: splitClasses(attrs.class),
+          dynamicClasses: false,
+          start: location.startOffset,
+          end: location.endOffset,
+          nameEnd: location.startTag.startOffset + 1 + child.tagName.length,
+          style: styleLocation ? { start: styleLocation.startOffset, end: styleLocation.endOffset, value: attrs.style } : null
+        });
+      }
+      walk(child.content || child);
+    });
+  };
+  walk(parseHtml(code, { sourceCodeLocationInfo: true }));
+  return elements;
+};
+
+const VUE_ELEMENT = 1;
+const VUE_ATTRIBUTE = 6;
+const VUE_DIRECTIVE = 7;
+
+const collectVueElements = code => {
+  const { descriptor } = parseSfc(code);
+  const elements = [];
+  const walk = node => {
+    (node.children || []).forEach(child => {
+      if (child.type !== VUE_ELEMENT) return;
+      const attribute = name => child.props.find(prop => prop.type === VUE_ATTRIBUTE && prop.name === name);
+      const style = attribute('style');
+      elements.push({
+        kind: 'attribute',
+        tagName: child.tag.toLowerCase(),
+        classes: splitClasses(attribute('class')?.value?.content),
+        // :class adds classes the source does not spell out; a bound :style is merged with the static one
+        dynamicClasses: child.props.some(prop => prop.type === VUE_DIRECTIVE && prop.arg?.content === 'class'),
+        start: child.loc.start.offset,
+        end: child.loc.end.offset,
+        nameEnd: child.loc.start.offset + 1 + child.tag.length,
+        style: style ? { start: style.loc.start.offset, end: style.loc.end.offset, value: style.value?.content } : null
+      });
+      walk(child);
+    });
+  };
+  if (descriptor.template?.ast) walk(descriptor.template.ast);
+  return elements;
+};
+
+const collectSvelteElements = code => {
+  const elements = [];
+  const isStatic = attribute => Array.isArray(attribute?.value) && attribute.value.every(part => part.type === 'Text');
+  const textOf = attribute => attribute.value.map(part => part.data).join('');
+  const walk = node => {
+    (node.children || []).forEach(child => {
+      // <svelte:element> and friends are not plain elements
+      if (child.type === 'Element' && !child.name.includes(':')) {
+        const attribute = name => child.attributes.find(attr => attr.type === 'Attribute' && attr.name === name);
+        const classAttr = attribute('class');
+        const style = attribute('style');
+        elements.push({
+          kind: 'attribute',
+          tagName: child.name.toLowerCase(),
+          classes: classAttr && isStatic(classAttr) ? splitClasses(textOf(classAttr)) : [],
+          dynamicClasses: Boolean(classAttr && !isStatic(classAttr)) || child.attributes.some(attr => attr.type === 'Class'),
+          start: child.start,
+          end: child.end,
+          nameEnd: child.start + 1 + child.name.length,
+          style: style ? { start: style.start, end: style.end, value: isStatic(style) ? textOf(style) : '', dynamic: !isStatic(style) } : null
+        });
+      }
+      walk(child);
+      // {:else} and {#await} branches are kept aside from the block's children
+      ['else', 'pending', 'then', 'catch'].forEach(branch => child[branch] && walk(child[branch]));
+    });
+  };
+  walk(parseSvelte(code).html);
+  return elements;
+};
+
+// Text of a static className: "a b", {'a b'} or {`a b`}
+const staticJsxString = value => {
+  if (!value) return null;
+  if (value.type === 'StringLiteral') return value.value;
+  if (value.type !== 'JSXExpressionContainer') return null;
+  const { expression } = value;
+  if (expression.type === 'StringLiteral') return expression.value;
+  if (expression.type === 'TemplateLiteral' && expression.expressions.length === 0) return expression.quasis[0].value.cooked;
+  return null;
+};
+
+const collectJsxElements = (code, extension) => {
+  const ast = parseBabel(code, {
+    sourceType: 'module',
+    plugins: extension === 'tsx' || extension === 'ts' ? ['typescript', 'jsx'] : ['jsx']
+  });
+  const elements = [];
+  const walk = node => {
+    if (!node || typeof node.type !== 'string') return;
+    const opening = node.type === 'JSXElement' ? node.openingElement : null;
+    // Intrinsic elements only: <Button> is a component, not a DOM element
+    if (opening?.name.type === 'JSXIdentifier' && /^[a-z]/.test(opening.name.name)) {
+      const attribute = name => opening.attributes.find(attr => attr.type === 'JSXAttribute' && attr.name.name === name);
+      const classAttr = attribute('className') || attribute('class');
+      const classText = staticJsxString(classAttr?.value);
+      elements.push({
+        kind: 'jsx',
+        tagName: opening.name.name,
+        classes: splitClasses(classText),
+        dynamicClasses: Boolean(classAttr && classText === null),
+        start: node.start,
+        end: node.end,
+        nameEnd: opening.name.end,
+        style: attribute('style') || null
+      });
+    }
+    Object.entries(node).forEach(([key, value]) => {
+      if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments') return;
+      if (Array.isArray(value)) value.forEach(walk);
+      else if (value && typeof value === 'object') walk(value);
+    });
+  };
+  walk(ast.program);
+  return elements;
+};
+
+/**
+ * Elements of `code` in source order. `fileName` only selects the parser.
+ * Throws for unsupported file types and unparsable code.
+ */
+export const collectElements = (code, fileName) => {
+  const extension = getExtension(fileName);
+  if (extension === 'html' || extension === 'htm') return collectHtmlElements(code);
+  if (extension === 'vue') return collectVueElements(code);
+  if (extension === 'svelte') return collectSvelteElements(code);
+  if (['js', 'jsx', 'ts', 'tsx'].includes(extension)) return collectJsxElements(code, extension);
+  throw new Error(`Source mapping is not supported for .${extension} files.`);
+};
+
+/**
+ * `code` with data-source-loc="start:end" on every element. Offsets refer to
+ * the original code; no line breaks are added, so error positions still match.
+ * Code that does not parse is returned unchanged (the preview shows the error).
+ */
+export const instrumentSource = (code, fileName) => {
+  let elements;
+  try {
+    elements = collectElements(code, fileName);
+  } catch {
+    return code;
+  }
+  return elements
+    .sort((a, b) => b.nameEnd - a.nameEnd)
+    .reduce((instrumented, element) => instrumented.slice(0, element.nameEnd)
+      + ` ${SOURCE_LOC_ATTRIBUTE}="${element.start}:${element.end}"`
+      + instrumented.slice(element.nameEnd), code);
+};
+
+// "120:348" -> { start: 120, end: 348 }
+export const parseSourceLoc = value => {
+  const match = String(value || '').match(/^(\d+):(\d+)$/);
+  if (!match) return null;
+  const [start, end] = [Number(match[1]), Number(match[2])];
+  return end > start ? { start, end } : null;
+};
+
+// The selected element's location, if it still points at a <tagName ...> in `code`
+export const sourceSpanOf = (code, target) => {
+  const span = parseSourceLoc(target?.sourceLoc);
+  if (!span || span.end > code.length) return null;
+  const tag = `<${String(target.tagName || '').toLowerCase()}`;
+  const opening = code.slice(span.start, span.start + tag.length + 1);
+  return opening.toLowerCase().startsWith(tag) && /[\s/>]$/.test(opening) ? span : null;
+};
+
+/**
+ * Source spans for the selected elements, or null when any of them cannot be
+ * mapped (not instrumented, or the code changed since the preview was built).
+ * Spans inside another selected span are folded into it; sorted by position.
+ */
+export const resolveSourceSpans = (code, targets) => {
+  const spans = (targets || []).map(target => sourceSpanOf(code, target));
+  if (spans.length === 0 || spans.some(span => !span)) return null;
+  return spans
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .filter((span, index, sorted) => !sorted.slice(0, index).some(outer => outer.start <= span.start && outer.end >= span.end));
+};
+
+// Replace each span with its replacement text (spans must not overlap)
+export const replaceSpans = (code, spans, replacements) => spans
+  .map((span, index) => ({ ...span, text: replacements[index] }))
+  .sort((a, b) => b.start - a.start)
+  .reduce((patched, { start, end, text }) => patched.slice(0, start) + text + patched.slice(end), code);
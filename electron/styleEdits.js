@@ -0,0 +1,136 @@
+// ============================================
+// DIRECT STYLE EDITS
+// ============================================
+//
+// Writes style changes from the inspector's style panel straight into the
+// component source, without a model round-trip. Selected elements are found
+// through their data-source-loc (see sourceLocations.js), or else by tag name
+// and static classes (the n-th match when several look alike). Their inline
+// styles are then merged: a style={{ ... }} object in JSX, a style="..."
+// attribute in HTML, Vue templates and Svelte markup.
+// applyElementStyles() returns the patched code or throws when an element
+// cannot be found.
+
+import { collectElements, sourceSpanOf, splitClasses } from './sourceLocations.js';
+
+const toCamelCase = property => (property.startsWith('--')
+  ? property
+  : property.replace(/-([a-z])/g, (_match, letter) => letter.toUpperCase()));
+
+const quote = value => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+// "color: red; padding: 4px" -> [['color', 'red'], ['padding', '4px']]
+const parseDeclarations = text => String(text || '')
+  .split(';')
+  .map(declaration => {
+    const colon = declaration.indexOf(':');
+    return colon === -1 ? null : [declaration.slice(0, colon).trim().toLowerCase(), declaration.slice(colon + 1).trim()];
+  })
+  .filter(entry => entry && entry[0]);
+
+// Changed properties replace existing ones in place; empty values remove them
+const mergeDeclarations = (text, styles) => {
+  const merged = new Map(parseDeclarations(text));
+  Object.entries(styles).forEach(([property, value]) => {
+    if (value === '' || value == null) merged.delete(property);
+    else merged.set(property, String(value));
+  });
+  return [...merged].map(([property, value]) => `${property}: ${value}`).join('; ');
+};
+
+// Merge into style="..."; a Svelte style with {expressions} cannot be merged
+const patchAttributeStyle = ({ tagName, style, nameEnd }, styles) => {
+  if (style?.dynamic) {
+    throw new Error(`<${tagName}> has a dynamic style attribute; edit it in the code instead.`);
+  }
+  const value = mergeDeclarations(style?.value, styles);
+  const text = value ? `style="${value.replace(/"/g, '&quot;')}"` : '';
+  if (style) return { start: style.start, end: style.end, text };
+  return { start: nameEnd, end: nameEnd, text: text ? ` ${text}` : '' };
+};
+
+const jsxStyleProperty = (property, value) => {
+  const key = toCamelCase(property);
+  return `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key)}: ${quote(value)}`;
+};
+
+const propertyKey = property => property.key?.name ?? property.key?.value;
+
+// Merge into style={{ ... }}, or spread a non-literal style={expr} into a new object
+const patchJsxStyle = (code, { nameEnd, style: styleAttr }, styles) => {
+  const entries = Object.entries(styles).filter(([, value]) => value !== '' && value != null);
+  const removed = new Set(Object.entries(styles).filter(([, value]) => value === '' || value == null).map(([property]) => toCamelCase(property)));
+
+  if (!styleAttr) {
+    if (entries.length === 0) return null;
+    return { start: nameEnd, end: nameEnd, text: ` style={{ ${entries.map(([property, value]) => jsxStyleProperty(property, value)).join(', ')} }}` };
+  }
+
+  const expression = styleAttr.value?.expression;
+  if (expression?.type !== 'ObjectExpression') {
+    const source = expression ? code.slice(expression.start, expression.end) : 'undefined';
+    const added = entries.map(([property, value]) => jsxStyleProperty(property, value));
+    return { start: styleAttr.start, end: styleAttr.end, text: `style={{ ...${source}${added.length ? `, ${added.join(', ')}` : ''} }}` };
+  }
+
+  const pending = new Map(entries.map(([property, value]) => [toCamelCase(property), [property, value]]));
+  const kept = expression.properties
+    .filter(property => !(property.type === 'ObjectProperty' && removed.has(propertyKey(property))))
+    .map(property => {
+      const key = property.type === 'ObjectProperty' && !property.computed ? propertyKey(property) : null;
+      if (!pending.has(key)) return code.slice(property.start, property.end);
+      const [name, value] = pending.get(key);
+      pending.delete(key);
+      return jsxStyleProperty(name, value);
+    });
+  const properties = [...kept, ...[...pending.values()].map(([property, value]) => jsxStyleProperty(property, value))];
+  return {
+    start: styleAttr.start,
+    end: styleAttr.end,
+    text: properties.length ? `style={{ ${properties.join(', ')} }}` : ''
+  };
+};
+
+const sameClasses = (a, b) => a.length === b.length && a.every(name => b.includes(name));
+
+/**
+ * Pick the source element for a selected DOM element.
+ * `target` is { tagName, classes: "a b", occurrence, sourceLoc? } where occurrence
+ * is the index among rendered elements with the same tag and classes. A valid
+ * sourceLoc is exact; otherwise exact class matches win and elements whose
+ * classes are computed are the fallback.
+ */
+export const findSourceElement = (code, candidates, target) => {
+  const span = sourceSpanOf(code, target);
+  const located = span && candidates.find(candidate => candidate.start === span.start && candidate.end === span.end);
+  if (located) return located;
+
+  const tagName = String(target.tagName || '').toLowerCase();
+  const classes = splitClasses(target.classes);
+  const sameTag = candidates.filter(candidate => candidate.tagName === tagName);
+  const exact = sameTag.filter(candidate => !candidate.dynamicClasses && sameClasses(candidate.classes, classes));
+  const loose = sameTag.filter(candidate => candidate.dynamicClasses && candidate.classes.every(name => classes.includes(name)));
+  const matches = exact.length > 0 ? exact : loose;
+  if (matches.length === 0) {
+    throw new Error(`Could not find <${tagName}${classes.length ? ` class="${classes.join(' ')}"` : ''}> in the component source.`);
+  }
+  // More rendered copies than source elements: it is rendered in a loop
+  return matches[Math.min(target.occurrence || 0, matches.length - 1)];
+};
+
+/**
+ * Apply `styles` ({ 'css-property': value }, '' removes one) to every target
+ * element of `code`. `fileName` only selects the parser.
+ */
+export const applyElementStyles = ({ code, fileName, targets, styles }) => {
+  if (!Array.isArray(targets) || targets.length === 0) throw new Error('Select at least one element.');
+  if (!styles || Object.keys(styles).length === 0) return code;
+
+  const candidates = collectElements(code, fileName);
+  const elements = [...new Set(targets.map(target => findSourceElement(code, candidates, target)))];
+  return elements
+    .map(element => (element.kind === 'jsx' ? patchJsxStyle(code, element, styles) : patchAttributeStyle(element, styles)))
+    .filter(Boolean)
+    .sort((a, b) => b.start - a.start)
+    .reduce((patched, { start, end, text }) => patched.slice(0, start) + text + patched.slice(end), code);
+};
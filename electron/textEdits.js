@@ -0,0 +1,154 @@
+// ============================================
+// INLINE TEXT EDITS
+// ============================================
+//
+// Copy changes typed into the preview (double-click a text element) are written
+// back without a model call. The edited element is found like a style edit
+// (data-source-loc, else tag and classes; see styleEdits.js), then its old text
+// is looked up in the source:
+//   1. inside the element's own code: JSX text, a string literal, or markup text
+//   2. else anywhere in the file, as a string literal holding exactly that text
+//      (copy kept in a constant or passed as a prop)
+// The new text is escaped for wherever it lands. applyElementText() throws when
+// the text cannot be found, e.g. when it is computed.
+
+import { parse as parseBabel } from '@babel/parser';
+import { collectElements } from './sourceLocations.js';
+import { findSourceElement } from './styleEdits.js';
+
+const getExtension = fileName => (fileName || '').split('.').pop().toLowerCase();
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Rendered text collapses whitespace, so any run of it in the source matches
+const textPattern = text => new RegExp(text.trim().split(/\s+/).map(escapeRegExp).join('\\s+'), 'g');
+
+const escapeMarkup = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const ESCAPERS = {
+  jsxText: text => escapeMarkup(text).replace(/[{}]/g, brace => `{'${brace}'}`),
+  markup: escapeMarkup,
+  // JSX attribute strings cannot hold backslash escapes, but do decode entities
+  jsxAttribute: text => escapeMarkup(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;'),
+  // Svelte and Vue read braces in markup as expressions
+  svelteMarkup: text => escapeMarkup(text).replace(/\{/g, '&#123;').replace(/\}/g, '&#125;'),
+  vueMarkup: text => escapeMarkup(text).replace(/\{\{/g, '{&#123;'),
+  template: text => text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${'),
+  singleQuoted: text => text.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n'),
+  doubleQuoted: text => text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+};
+
+const quotedEscaper = quote => (quote === '`' ? 'template' : quote === '"' ? 'doubleQuoted' : 'singleQuoted');
+
+// Every place text can sit in JSX code: { start, end, escaper, literal, attribute }.
+// Attributes of DOM elements (className="title") never render as text and are left out;
+// props of components (<Card label="...">) are kept.
+const collectJsxTexts = (code, extension) => {
+  const ast = parseBabel(code, {
+    sourceType: 'module',
+    plugins: extension === 'tsx' || extension === 'ts' ? ['typescript', 'jsx'] : ['jsx']
+  });
+  const texts = [];
+  const walk = (node, parent) => {
+    if (!node || typeof node.type !== 'string') return;
+    if (node.type === 'JSXOpeningElement' && node.name.type === 'JSXIdentifier' && /^[a-z]/.test(node.name.name)) {
+      node.attributes.forEach(attribute => attribute.type === 'JSXSpreadAttribute' && walk(attribute, node));
+      return;
+    }
+    if (node.type === 'JSXText') {
+      texts.push({ start: node.start, end: node.end, escaper: 'jsxText', literal: false });
+    } else if (node.type === 'StringLiteral') {
+      const attribute = parent?.type === 'JSXAttribute';
+      const escaper = attribute ? 'jsxAttribute' : quotedEscaper(code[node.start]);
+      texts.push({ start: node.start + 1, end: node.end - 1, escaper, literal: true, attribute, value: node.value });
+    } else if (node.type === 'TemplateElement') {
+      texts.push({ start: node.start, end: node.end, escaper: 'template', literal: true, value: node.value.cooked });
+    }
+    Object.entries(node).forEach(([key, value]) => {
+      if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments') return;
+      if (Array.isArray(value)) value.forEach(child => walk(child, node));
+      else if (value && typeof value === 'object') walk(value, node);
+    });
+  };
+  walk(ast.program, null);
+  return texts;
+};
+
+// Markup text between tags in [start, end); attribute values and tags are skipped
+const collectMarkupTexts = (code, start, end, escaper) => {
+  const texts = [];
+  const pattern = />([^<]+)</g;
+  pattern.lastIndex = start;
+  let match = pattern.exec(code);
+  while (match && match.index < end) {
+    texts.push({ start: match.index + 1, end: match.index + 1 + match[1].length, escaper, literal: false });
+    pattern.lastIndex = match.index + 1;
+    match = pattern.exec(code);
+  }
+  return texts;
+};
+
+// String literals in <script> blocks of markup files: '...', "..." or `...` without ${}
+const collectScriptLiterals = code => {
+  const literals = [];
+  const scriptPattern = /<script\b[^>]*>([\s\S]*?)<\/script>/gi;
+  for (const script of code.matchAll(scriptPattern)) {
+    const offset = script.index + script[0].indexOf(script[1]);
+    for (const literal of script[1].matchAll(/(['"`])((?:\\.|(?!\1)[^\\\n])*)\1/g)) {
+      if (literal[1] === '`' && literal[2].includes('${')) continue;
+      const start = offset + literal.index + 1;
+      literals.push({ start, end: start + literal[2].length, escaper: quotedEscaper(literal[1]), literal: true, value: literal[2] });
+    }
+  }
+  return literals;
+};
+
+const MARKUP_ESCAPERS = { html: 'markup', htm: 'markup', vue: 'vueMarkup', svelte: 'svelteMarkup' };
+
+/**
+ * Replace the text of one rendered element. `target` is the inspector's
+ * element info ({ tagName, classes, occurrence, sourceLoc? }); `oldText` and
+ * `newText` are its rendered text before and after editing.
+ */
+export const applyElementText = ({ code, fileName, target, oldText, newText }) => {
+  if (!String(oldText || '').trim()) throw new Error('Only elements that already show text can be edited inline.');
+  if (oldText === newText) return code;
+
+  const extension = getExtension(fileName);
+  const isJsx = ['js', 'jsx', 'ts', 'tsx'].includes(extension);
+  let element = null;
+  try {
+    element = findSourceElement(code, collectElements(code, fileName), target);
+  } catch {
+    // Rendered by an imported component: only a string literal of this file can still hold the text
+  }
+  const texts = isJsx
+    ? collectJsxTexts(code, extension)
+    : [
+      ...(element ? collectMarkupTexts(code, element.start, element.end, MARKUP_ESCAPERS[extension] || 'markup') : []),
+      ...collectScriptLiterals(code)
+    ];
+
+  const matchesIn = text => [...code.slice(text.start, text.end).matchAll(textPattern(oldText))]
+    .map(match => ({ ...text, matchStart: text.start + match.index, matchEnd: text.start + match.index + match[0].length }));
+
+  // The element's own code first (first match: the source follows the rendered order)
+  const own = element
+    ? texts.filter(text => !text.attribute && text.start >= element.start && text.end <= element.end).flatMap(matchesIn)
+    : [];
+  let match = own[0];
+  if (!match) {
+    const trimmed = oldText.trim();
+    const literals = texts.filter(text => text.literal && text.value?.trim() === trimmed).flatMap(matchesIn);
+    if (literals.length > 1) {
+      throw new Error(`"${trimmed}" appears in several strings of the component; edit it in the code instead.`);
+    }
+    [match] = literals;
+  }
+  if (!match) {
+    throw new Error(`Could not find "${oldText.trim()}" in the component source; it may be computed.`);
+  }
+
+  const replacement = ESCAPERS[match.escaper](newText.trim());
+  return code.slice(0, match.matchStart) + replacement + code.slice(match.matchEnd);
+};
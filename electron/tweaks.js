@@ -0,0 +1,158 @@
+// ============================================
+// TWEAKER MODE
+// ============================================
+//
+// A tweak is a small, targeted change described in chat ("make the hero
+// button rounded"). The flow in main.js is:
+//   1. rankTweakCandidates() picks the project files the message is about
+//   2. the "tweak" task returns JSON matching TWEAK_SCHEMA: search/replace edits
+//   3. applyTweakEdits() patches the files in memory
+// The patched files are then staged for diff review exactly like a build.
+
+export const TWEAK_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', description: 'One or two sentences describing what was changed.' },
+    edits: {
+      type: 'array',
+      description: 'Minimal search/replace edits. Use an empty "search" only to create a new file.',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'File path exactly as given in the prompt.' },
+          search: { type: 'string', description: 'Exact text copied from the current file, long enough to be unique.' },
+          replace: { type: 'string', description: 'Text that replaces "search".' }
+        },
+        required: ['path', 'search', 'replace']
+      }
+    }
+  },
+  required: ['summary', 'edits']
+};
+
+const MAX_CANDIDATES = 6;
+const MAX_CONTEXT_CHARS = 60000;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'make', 'makes', 'change', 'please',
+  'should', 'would', 'could', 'can', 'all', 'any', 'some', 'more', 'less', 'bit', 'little', 'use',
+  'add', 'remove', 'set', 'put', 'its', 'it\'s', 'are', 'was', 'than', 'then', 'them', 'our', 'page'
+]);
+
+const tokenize = text => (text.toLowerCase().match(/[a-z0-9_-]{3,}/g) || [])
+  .filter(word => !STOP_WORDS.has(word));
+
+const countOccurrences = (haystack, needle) => {
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1 && count < 5) {
+    count++;
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return count;
+};
+
+// Score files against the message: explicit file names win, then path
+// matches, then (capped) mentions inside the file. `files` are { path, content }
+// with project-relative paths; returns the best few within the context budget.
+export const rankTweakCandidates = (message, files) => {
+  const lowerMessage = message.toLowerCase();
+  const words = [...new Set(tokenize(message))];
+
+  const scored = files.map(file => {
+    const lowerPath = file.path.toLowerCase();
+    const fileName = lowerPath.split('/').pop();
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+    const lowerContent = file.content.toLowerCase();
+
+    let score = lowerMessage.includes(fileName) ? 50 : 0;
+    if (baseName.length >= 3 && words.includes(baseName)) score += 20;
+    words.forEach(word => {
+      if (lowerPath.includes(word)) score += 5;
+      score += countOccurrences(lowerContent, word);
+    });
+    return { ...file, score };
+  });
+
+  const picked = [];
+  let budget = MAX_CONTEXT_CHARS;
+  scored
+    .filter(file => file.score > 0)
+    .sort((a, b) => b.score - a.score || a.content.length - b.content.length)
+    .forEach(file => {
+      if (picked.length >= MAX_CANDIDATES || file.content.length > budget) return;
+      picked.push(file);
+      budget -= file.content.length;
+    });
+  return picked;
+};
+
+// Parse and validate the model's JSON. Throws with a readable message.
+export const parseTweakResponse = text => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('The AI did not return any edits. Please try rephrasing the change.');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`The AI returned malformed JSON for the edits (${error.message}). Please try again.`);
+  }
+
+  if (!Array.isArray(data?.edits)) {
+    throw new Error('The AI response is missing its list of edits.');
+  }
+  const edits = data.edits.filter(edit =>
+    edit && typeof edit.path === 'string' && edit.path.trim()
+    && typeof edit.search === 'string' && typeof edit.replace === 'string'
+  );
+  return {
+    summary: typeof data.summary === 'string' ? data.summary.trim() : '',
+    edits: edits.map(edit => ({ ...edit, path: edit.path.trim() }))
+  };
+};
+
+// Apply search/replace edits to in-memory file contents.
+// `originals` maps path -> content (null when the file does not exist yet).
+// Returns { files: Map(path -> new content), failed: [{ path, reason }] }.
+export const applyTweakEdits = (originals, edits) => {
+  const files = new Map();
+  const failed = [];
+
+  edits.forEach(edit => {
+    const current = files.has(edit.path) ? files.get(edit.path) : originals.get(edit.path);
+
+    if (current === undefined) {
+      failed.push({ path: edit.path, reason: 'file was not part of the request' });
+      return;
+    }
+    if (current === null) {
+      if (edit.search) {
+        failed.push({ path: edit.path, reason: 'file does not exist' });
+      } else {
+        files.set(edit.path, edit.replace);
+      }
+      return;
+    }
+    if (!edit.search) {
+      failed.push({ path: edit.path, reason: 'empty search text for an existing file' });
+      return;
+    }
+
+    const index = current.indexOf(edit.search);
+    if (index === -1) {
+      failed.push({ path: edit.path, reason: 'search text not found' });
+      return;
+    }
+    if (current.indexOf(edit.search, index + 1) !== -1) {
+      failed.push({ path: edit.path, reason: 'search text matches more than once' });
+      return;
+    }
+    files.set(edit.path, current.slice(0, index) + edit.replace + current.slice(index + edit.search.length));
+  });
+
+  return { files, failed };
+};
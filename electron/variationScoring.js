@@ -0,0 +1,123 @@
+// ============================================
+// VARIATION SCORING
+// ============================================
+//
+// Ranks the variations build-component returns so the user does not have to
+// eyeball every card. Each variation gets four sub-scores (0-100, or null when
+// there is nothing to judge):
+//   parse   - did the code parse, and how many repair passes it needed
+//   tokens  - colors and font families used vs. the project's design system
+//   size    - whether the rendered output has a sane size (not empty, no
+//             horizontal overflow, not absurdly tall)
+//   visual  - similarity of a screenshot to the uploaded design (visualDiff.js)
+// combineScores() weights whichever sub-scores exist into one overall score.
+
+export const SCORE_WEIGHTS = { parse: 0.25, tokens: 0.2, size: 0.15, visual: 0.4 };
+
+const REPAIR_PENALTY = 15;
+const COLOR_TOLERANCE = 24; // Euclidean RGB distance still counted as a palette color
+
+export const scoreParse = validation => {
+  if (!validation || validation.status === 'skipped') return null;
+  if (validation.status === 'invalid') return 0;
+  return Math.max(0, 100 - REPAIR_PENALTY * (validation.attempts || 0));
+};
+
+// "#abc", "#aabbcc", "#aabbccdd", "rgb(1, 2, 3)" or "rgba(1 2 3 / 50%)" -> [r, g, b]
+const parseColor = value => {
+  const text = String(value || '').trim().toLowerCase();
+  const hex = text.match(/^#([0-9a-f]{3,8})$/);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? hex[1].slice(0, 3).split('').map(d => d + d).join('') : hex[1].slice(0, 6);
+    if (digits.length !== 6) return null;
+    return [0, 2, 4].map(i => Number.parseInt(digits.slice(i, i + 2), 16));
+  }
+  const rgb = text.match(/^rgba?\(\s*(\d+(?:\.\d+)?)[\s,]+(\d+(?:\.\d+)?)[\s,]+(\d+(?:\.\d+)?)/);
+  return rgb ? rgb.slice(1, 4).map(Number) : null;
+};
+
+const COLOR_PATTERN = /#[0-9a-fA-F]{3,8}\b|rgba?\([^)]*\)/g;
+const FONT_FAMILY_PATTERN = /font-?family\s*[:=]\s*\{?\s*["'`]*([^;"'`}\n,]+)/gi;
+
+const normalizeFamily = family => family.replace(/["']/g, '').trim().toLowerCase();
+
+/**
+ * Design-token compliance of `code` against .visualise-settings.json.
+ * Returns { score, colors: { used, matched }, fonts: { used, matched } };
+ * score is null when the settings or the code give nothing to compare.
+ */
+export const scoreTokenCompliance = (code, userSettings) => {
+  const palette = (userSettings?.colors || []).map(color => parseColor(color.value)).filter(Boolean);
+  const families = new Set(Object.values(userSettings?.fonts || {})
+    .map(config => config?.family)
+    .filter(Boolean)
+    .map(normalizeFamily));
+
+  const usedColors = [...new Set((code.match(COLOR_PATTERN) || []).map(c => c.toLowerCase()))]
+    .map(parseColor)
+    .filter(Boolean);
+  const matchedColors = usedColors.filter(([r, g, b]) =>
+    palette.some(([pr, pg, pb]) => Math.hypot(r - pr, g - pg, b - pb) <= COLOR_TOLERANCE));
+
+  const usedFamilies = [...new Set([...code.matchAll(FONT_FAMILY_PATTERN)].map(match => normalizeFamily(match[1])))]
+    .filter(family => family && !family.startsWith('inherit') && !family.startsWith('var('));
+  const matchedFamilies = usedFamilies.filter(family => families.has(family));
+
+  const parts = [];
+  if (palette.length > 0 && usedColors.length > 0) parts.push(matchedColors.length / usedColors.length);
+  if (families.size > 0 && usedFamilies.length > 0) parts.push(matchedFamilies.length / usedFamilies.length);
+
+  return {
+    score: parts.length > 0 ? Math.round((parts.reduce((sum, part) => sum + part, 0) / parts.length) * 100) : null,
+    colors: { used: usedColors.length, matched: matchedColors.length },
+    fonts: { used: usedFamilies.length, matched: matchedFamilies.length }
+  };
+};
+
+/**
+ * Sanity of the rendered size. `content` is measured in the page:
+ * { width, height, scrollWidth, scrollHeight, error }; `viewport` is { width, height }.
+ * Returns { score, issues: string[] }.
+ */
+export const scoreRenderedSize = (content, viewport) => {
+  if (!content || content.error) {
+    return { score: 0, issues: [content?.error ? `Preview failed: ${content.error}` : 'Nothing was rendered.'] };
+  }
+  if (content.width < 1 || content.height < 1) {
+    return { score: 0, issues: ['The component renders empty.'] };
+  }
+
+  const issues = [];
+  let score = 100;
+  if (content.width < 16 || content.height < 16) {
+    score -= 50;
+    issues.push(`Very small output (${content.width}×${content.height}px).`);
+  }
+  if (content.scrollWidth > viewport.width + 4) {
+    score -= 40;
+    issues.push(`Overflows horizontally (${content.scrollWidth}px in a ${viewport.width}px viewport).`);
+  }
+  if (content.height > viewport.height * 3) {
+    score -= 30;
+    issues.push(`Much taller than the viewport (${content.height}px).`);
+  }
+  return { score: Math.max(0, score), issues };
+};
+
+// Weighted average of the sub-scores that are not null
+export const combineScores = scores => {
+  let total = 0;
+  let weight = 0;
+  Object.entries(SCORE_WEIGHTS).forEach(([key, keyWeight]) => {
+    if (typeof scores[key] !== 'number') return;
+    total += scores[key] * keyWeight;
+    weight += keyWeight;
+  });
+  return weight > 0 ? Math.round(total / weight) : null;
+};
+
+// Variation ids ordered best first; unscored ones last
+export const rankVariations = scoresById =>
+  Object.entries(scoresById)
+    .sort(([, a], [, b]) => (b.overall ?? -1) - (a.overall ?? -1))
+    .map(([id]) => Number(id));
@@ -0,0 +1,116 @@
+// ============================================
+// COMPONENT VARIATIONS
+// ============================================
+//
+// build-component generates several variations of the same component side by
+// side. planVariations() turns the user's choice into one entry per variation:
+//   temperature   - same model and prompt, temperatures swept from 0.2 to 0.8
+//   models        - one model per variation ("provider:model"), cycled
+//   prompt-styles - one prompt style per variation (see PROMPT_STYLES), cycled
+// Every entry carries a label so the variation grid can show where it came from.
+// describeVariationOptions() gives the renderer's options form the same limits,
+// strategies and styles (through 'get-variation-options').
+
+export const MIN_VARIATIONS = 1;
+export const MAX_VARIATIONS = 8;
+export const DEFAULT_VARIATION_COUNT = 4;
+
+export const VARIATION_STRATEGIES = ['temperature', 'models', 'prompt-styles'];
+
+const STRATEGY_LABELS = {
+  'temperature': 'Temperature sweep',
+  'models': 'Different models',
+  'prompt-styles': 'Different prompt styles'
+};
+
+// Extra requirement appended to the build prompt for each style
+export const PROMPT_STYLES = {
+  faithful: {
+    label: 'Faithful',
+    instruction: 'Reproduce the design as exactly as possible: spacing, sizes, colors and copy. Do not add or drop elements.'
+  },
+  minimal: {
+    label: 'Minimal',
+    instruction: 'Keep the markup and styles as small as possible. Prefer simple layout primitives and as few wrappers as you can.'
+  },
+  accessible: {
+    label: 'Accessible',
+    instruction: 'Prioritize accessibility: semantic elements, labels and ARIA only where needed, visible focus states, keyboard support and WCAG AA contrast.'
+  },
+  expressive: {
+    label: 'Expressive',
+    instruction: 'Polish the details: subtle hover and focus transitions, refined shadows and spacing, while staying true to the design.'
+  }
+};
+
+const MIN_TEMPERATURE = 0.2;
+const MAX_TEMPERATURE = 0.8;
+
+// Evenly spaced temperatures; a single variation uses the lowest
+const sweepTemperature = (index, count) => {
+  if (count <= 1) return MIN_TEMPERATURE;
+  const value = MIN_TEMPERATURE + ((MAX_TEMPERATURE - MIN_TEMPERATURE) * index) / (count - 1);
+  return Math.round(value * 100) / 100;
+};
+
+// Reused models/styles are told apart by their temperature
+const repeatLabel = (base, temperature, repeated) => (repeated ? `${base} · temp ${temperature}` : base);
+
+// Choices for the variation options form: { minCount, maxCount, defaultCount, strategies, promptStyles }
+export const describeVariationOptions = () => ({
+  minCount: MIN_VARIATIONS,
+  maxCount: MAX_VARIATIONS,
+  defaultCount: DEFAULT_VARIATION_COUNT,
+  strategies: VARIATION_STRATEGIES.map(id => ({ id, label: STRATEGY_LABELS[id] })),
+  promptStyles: Object.entries(PROMPT_STYLES).map(([id, style]) => ({ id, label: style.label }))
+});
+
+export const clampVariationCount = count => {
+  const value = Number.parseInt(count, 10);
+  if (!Number.isFinite(value)) return DEFAULT_VARIATION_COUNT;
+  return Math.min(MAX_VARIATIONS, Math.max(MIN_VARIATIONS, value));
+};
+
+/**
+ * One entry per variation: { id, label, temperature, model?, promptStyle? }.
+ *   strategy     - one of VARIATION_STRATEGIES (defaults to 'temperature')
+ *   count        - clamped to MIN_VARIATIONS..MAX_VARIATIONS
+ *   models       - "provider:model" specs, required for the 'models' strategy
+ *   promptStyles - PROMPT_STYLES ids, defaults to all of them
+ * When there are more variations than models or styles they are reused, and the
+ * temperature sweep keeps the repeats apart.
+ */
+export const planVariations = ({ strategy = 'temperature', count, models = [], promptStyles = [] } = {}) => {
+  if (!VARIATION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown variation strategy "${strategy}".`);
+  }
+  const total = clampVariationCount(count);
+  const ids = Array.from({ length: total }, (_value, index) => index + 1);
+
+  if (strategy === 'models') {
+    const specs = models.map(spec => String(spec || '').trim()).filter(Boolean);
+    if (specs.length === 0) {
+      throw new Error('Choose at least one model for the "different models" strategy.');
+    }
+    return ids.map((id, index) => {
+      const model = specs[index % specs.length];
+      const temperature = specs.length >= total ? 0.4 : sweepTemperature(index, total);
+      return { id, label: repeatLabel(model, temperature, specs.length < total), model, temperature };
+    });
+  }
+
+  if (strategy === 'prompt-styles') {
+    const styles = promptStyles.filter(style => PROMPT_STYLES[style]);
+    const chosen = styles.length > 0 ? styles : Object.keys(PROMPT_STYLES);
+    return ids.map((id, index) => {
+      const promptStyle = chosen[index % chosen.length];
+      const temperature = chosen.length >= total ? 0.4 : sweepTemperature(index, total);
+      return { id, label: repeatLabel(PROMPT_STYLES[promptStyle].label, temperature, chosen.length < total), promptStyle, temperature };
+    });
+  }
+
+  return ids.map((id, index) => {
+    const temperature = sweepTemperature(index, total);
+    return { id, label: `Temperature ${temperature}`, temperature };
+  });
+};
@@ -0,0 +1,131 @@
+// ============================================
+// VISUAL SELF-CHECK
+// ============================================
+//
+// Compares a screenshot of the generated output with the uploaded design.
+// Both images are resized to the same dimensions in main.js and passed here
+// as raw BGRA bitmaps (nativeImage.toBitmap()). compareBitmaps() returns:
+//   mismatch  -> share of pixels whose colour differs noticeably (0..1)
+//   ssim      -> mean structural similarity of 8x8 luminance blocks (0..1)
+//   heatmap   -> BGRA bitmap: dimmed screenshot with differences in red
+// visualCompareGeometry() picks the render viewport and the shared compare size.
+
+const COMPARE_WIDTH = 400; // Both images are scaled to this width before diffing
+const MIN_VIEWPORT_WIDTH = 320;
+const MAX_VIEWPORT_WIDTH = 1440;
+const MAX_VIEWPORT_HEIGHT = 4000;
+const FALLBACK_VIEWPORT = { width: 800, height: 600 }; // Without a design to size against
+
+/**
+ * Viewport to render the output in, and the size both images are scaled to.
+ * The viewport has the design's width (within sensible bounds) and aspect ratio,
+ * so layouts are comparable. `designSize` is { width, height } or null.
+ */
+export const visualCompareGeometry = designSize => {
+  const size = designSize?.width > 0 && designSize?.height > 0 ? designSize : FALLBACK_VIEWPORT;
+  const aspect = size.height / size.width;
+  const viewportWidth = Math.min(MAX_VIEWPORT_WIDTH, Math.max(MIN_VIEWPORT_WIDTH, size.width));
+  return {
+    viewport: { width: viewportWidth, height: Math.min(MAX_VIEWPORT_HEIGHT, Math.round(viewportWidth * aspect)) },
+    compareSize: { width: COMPARE_WIDTH, height: Math.max(1, Math.round(COMPARE_WIDTH * aspect)) }
+  };
+};
+
+const PIXEL_THRESHOLD = 32; // max channel difference (0-255) before a pixel counts as changed
+const SSIM_BLOCK = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+const toLuminance = (bitmap, pixelCount) => {
+  const luminance = new Float32Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    const offset = i * 4;
+    luminance[i] = 0.114 * bitmap[offset] + 0.587 * bitmap[offset + 1] + 0.299 * bitmap[offset + 2];
+  }
+  return luminance;
+};
+
+const blockSsim = (lumA, lumB, width, x0, y0, blockWidth, blockHeight) => {
+  const count = blockWidth * blockHeight;
+  let sumA = 0;
+  let sumB = 0;
+  for (let y = y0; y < y0 + blockHeight; y++) {
+    for (let x = x0; x < x0 + blockWidth; x++) {
+      sumA += lumA[y * width + x];
+      sumB += lumB[y * width + x];
+    }
+  }
+  const meanA = sumA / count;
+  const meanB = sumB / count;
+
+  let varA = 0;
+  let varB = 0;
+  let covariance = 0;
+  for (let y = y0; y < y0 + blockHeight; y++) {
+    for (let x = x0; x < x0 + blockWidth; x++) {
+      const da = lumA[y * width + x] - meanA;
+      const db = lumB[y * width + x] - meanB;
+      varA += da * da;
+      varB += db * db;
+      covariance += da * db;
+    }
+  }
+  varA /= count;
+  varB /= count;
+  covariance /= count;
+
+  return ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2))
+    / ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2));
+};
+
+// `design` and `screenshot` are BGRA buffers of width * height * 4 bytes
+export const compareBitmaps = (design, screenshot, width, height) => {
+  const pixelCount = width * height;
+  if (design.length < pixelCount * 4 || screenshot.length < pixelCount * 4) {
+    throw new Error('Images must be resized to the same dimensions before comparing.');
+  }
+
+  const heatmap = Buffer.alloc(pixelCount * 4);
+  let mismatched = 0;
+
+  for (let i = 0; i < pixelCount; i++) {
+    const offset = i * 4;
+    const difference = Math.max(
+      Math.abs(design[offset] - screenshot[offset]),
+      Math.abs(design[offset + 1] - screenshot[offset + 1]),
+      Math.abs(design[offset + 2] - screenshot[offset + 2])
+    );
+    if (difference > PIXEL_THRESHOLD) mismatched++;
+
+    // Grey base from the screenshot so the red overlay shows where things are off
+    const grey = 0.4 * (0.114 * screenshot[offset] + 0.587 * screenshot[offset + 1] + 0.299 * screenshot[offset + 2]);
+    const intensity = difference > PIXEL_THRESHOLD ? Math.min(1, difference / 128) : 0;
+    heatmap[offset] = grey * (1 - intensity);
+    heatmap[offset + 1] = grey * (1 - intensity);
+    heatmap[offset + 2] = grey + (255 - grey) * intensity;
+    heatmap[offset + 3] = 255;
+  }
+
+  const lumDesign = toLuminance(design, pixelCount);
+  const lumScreenshot = toLuminance(screenshot, pixelCount);
+  let ssimTotal = 0;
+  let blocks = 0;
+  for (let y = 0; y < height; y += SSIM_BLOCK) {
+    for (let x = 0; x < width; x += SSIM_BLOCK) {
+      const blockWidth = Math.min(SSIM_BLOCK, width - x);
+      const blockHeight = Math.min(SSIM_BLOCK, height - y);
+      ssimTotal += blockSsim(lumDesign, lumScreenshot, width, x, y, blockWidth, blockHeight);
+      blocks++;
+    }
+  }
+
+  return {
+    mismatch: pixelCount > 0 ? mismatched / pixelCount : 0,
+    ssim: blocks > 0 ? Math.max(0, ssimTotal / blocks) : 0,
+    heatmap
+  };
+};
+
+// Single 0-100 score for the UI; structure matters more than exact colours
+export const similarityScore = ({ mismatch, ssim }) =>
+  Math.round((0.7 * ssim + 0.3 * (1 - mismatch)) * 100);
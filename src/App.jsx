@@ -1,7 +1,8 @@
-import React, { useCallback, useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import EditorPane from './components/EditorPane.jsx';
 import ProjectTree from './components/ProjectTree.jsx';
 import AIChatPlaceholder from './components/AIChatPlaceholder.jsx';
+import { DEFAULT_VARIATION_OPTIONS } from './components/VariationOptions.jsx';
 import TerminalPane from './components/TerminalPane.jsx';
 import VisualPreview from './components/VisualPreview.jsx';
 import TopNav from './components/TopNav.jsx';
@@ -53,6 +54,7 @@ const App = () => {
   const [buildPlanOpen, setBuildPlanOpen] = useState(false);
   const [creatingComponent, setCreatingComponent] = useState(false);
   const [componentForm, setComponentForm] = useState({ name: '', useCase: '', language: 'React' });
+  const [variationOptions, setVariationOptions] = useState(DEFAULT_VARIATION_OPTIONS);
   const [componentAnalysis, setComponentAnalysis] = useState('');
   const [componentHasImage, setComponentHasImage] = useState(false);
   const [componentBuild, setComponentBuild] = useState({
@@ -66,6 +68,13 @@ const App = () => {
   });
   const [componentFiles, setComponentFiles] = useState([]);
   const [isTestMode, setIsTestMode] = useState(false);
+  const [designSettings, setDesignSettings] = useState(null);
+  // Preview breakpoints apply even when the design system is turned off
+  const [previewBreakpoints, setPreviewBreakpoints] = useState(null);
+  // Bumped whenever the Settings page saves, so the component page picks up the changes
+  const [settingsRevision, setSettingsRevision] = useState(0);
+  // requestId of the running build-component call, for the Stop button
+  const componentRequestIdRef = useRef(null);
 
   const resetComponentWorkflow = useCallback(() => {
     setComponentForm({ name: '', useCase: '', language: 'React' });
@@ -420,6 +429,43 @@ const App = () => {
     return null;
   }, [fileBridge, folderPath]);
 
+  const handleSettingsSaved = useCallback(() => setSettingsRevision(revision => revision + 1), []);
+
+  // Raw .visualise-settings.json, or null when missing, whether or not the design system is enabled
+  const loadProjectSettings = useCallback(async () => {
+    try {
+      const settingsPath = `${folderPath}/.visualise-settings.json`;
+      const settingsResult = await fileBridge?.readFile?.(settingsPath);
+      if (settingsResult?.success && settingsResult.content) {
+        return JSON.parse(settingsResult.content);
+      }
+    } catch (e) {
+      // Settings file doesn't exist, continue without it
+    }
+    return null;
+  }, [fileBridge, folderPath]);
+
+  // The project's design system (.visualise-settings.json), or null when missing or disabled
+  const loadUserSettings = useCallback(async () => {
+    const settings = await loadProjectSettings();
+    // Only use settings if they're enabled
+    return settings?.enabled !== false ? settings : null;
+  }, [loadProjectSettings]);
+
+  // Palette and fonts for the component page's style panel, and its preview breakpoints
+  useEffect(() => {
+    if (!creatingComponent || !folderPath) return undefined;
+    let stale = false;
+    loadProjectSettings().then(settings => {
+      if (stale) return;
+      setDesignSettings(settings?.enabled !== false ? settings : null);
+      setPreviewBreakpoints(settings?.breakpoints || null);
+    });
+    return () => {
+      stale = true;
+    };
+  }, [creatingComponent, folderPath, loadProjectSettings, settingsRevision]);
+
   const handleBuildComponent = useCallback(async () => {
     if (!componentFieldsComplete || !analysisReady) return;
 
@@ -440,25 +486,43 @@ const App = () => {
       baseFileName: '',
       extension: '',
       selectedVariation: null,
-      error: ''
+      error: '',
+      streams: {},
+      labels: {},
+      repairs: {}
     });
 
-    try {
-      // Load user settings from project file to provide as context
-      let userSettings = null;
-      try {
-        const settingsPath = `${folderPath}/.visualise-settings.json`;
-        const settingsResult = await fileBridge?.readFile?.(settingsPath);
-        if (settingsResult?.success && settingsResult.content) {
-          const parsed = JSON.parse(settingsResult.content);
-          // Only use settings if they're enabled
-          if (parsed.enabled !== false) {
-            userSettings = parsed;
+    // Fill each variation card live as its tokens stream in
+    const requestId = crypto.randomUUID();
+    componentRequestIdRef.current = requestId;
+    const unsubscribe = window.editorAPI.onAiStream?.(payload => {
+      if (payload?.requestId !== requestId) return;
+      if (payload.type === 'start') {
+        setComponentBuild(prev => (prev.status !== 'building' ? prev : {
+          ...prev,
+          streams: Object.fromEntries(payload.variationIds.map(id => [id, ''])),
+          labels: payload.labels || {}
+        }));
+      } else if (payload.type === 'token') {
+        setComponentBuild(prev => (prev.status !== 'building' ? prev : {
+          ...prev,
+          streams: {
+            ...prev.streams,
+            [payload.variationId]: (prev.streams?.[payload.variationId] || '') + payload.token
           }
-        }
-      } catch (e) {
-        // Settings file doesn't exist, continue without it
+        }));
+      } else if (payload.type === 'repair') {
+        // The variation did not parse; the model is fixing its syntax errors
+        setComponentBuild(prev => (prev.status !== 'building' ? prev : {
+          ...prev,
+          repairs: { ...prev.repairs, [payload.variationId]: payload.attempt }
+        }));
       }
+    });
+
+    try {
+      // Load user settings from project file to provide as context
+      const userSettings = await loadUserSettings();
 
       const res = await window.editorAPI.buildComponent({
         folderPath,
@@ -466,12 +530,17 @@ const App = () => {
         useCase: componentForm.useCase,
         language: componentForm.language,
         analysis: componentAnalysis,
-        userSettings
+        userSettings,
+        variationCount: variationOptions.count,
+        variationStrategy: variationOptions.strategy,
+        variationModels: variationOptions.models,
+        promptStyles: variationOptions.promptStyles,
+        requestId
       });
 
       if (!res?.success) {
         setComponentBuild({
-          status: 'error',
+          status: res?.cancelled ? 'cancelled' : 'error',
           variations: [],
           targetDir: '',
           baseFileName: '',
@@ -501,8 +570,20 @@ const App = () => {
         selectedVariation: null,
         error: err?.message || 'Unexpected build error.'
       });
+    } finally {
+      unsubscribe?.();
+      componentRequestIdRef.current = null;
     }
-  }, [analysisReady, componentAnalysis, componentFieldsComplete, componentForm.language, componentForm.name, componentForm.useCase, folderPath]);
+  }, [analysisReady, componentAnalysis, componentFieldsComplete, componentForm.language, componentForm.name, componentForm.useCase, folderPath, loadUserSettings, variationOptions]);
+
+  const handleCancelBuild = useCallback(() => {
+    const requestId = componentRequestIdRef.current;
+    if (!requestId || !window.editorAPI?.cancelAiRequest) return;
+    window.editorAPI.cancelAiRequest(requestId).catch(err => {
+      // eslint-disable-next-line no-console
+      console.error('Error cancelling build:', err);
+    });
+  }, []);
 
   const handleSelectVariation = useCallback(async (selectedId) => {
     if (!window.editorAPI?.selectComponentVariation) {
@@ -546,7 +627,7 @@ const App = () => {
     }
   }, [componentBuild.variations, componentBuild.targetDir, componentBuild.baseFileName, componentBuild.extension, refreshTree, extractComponentFiles]);
 
-  const handleEditElement = useCallback(async ({ element, prompt, fullCode }) => {
+  const handleEditElement = useCallback(async ({ element, elements, prompt, fullCode }) => {
     if (!window.editorAPI?.editComponentElement) {
       window.alert('Element editing is only available in the Electron shell.');
       return;
@@ -554,27 +635,16 @@ const App = () => {
 
     try {
       // Load user settings from project file to provide as context
-      let userSettings = null;
-      try {
-        const settingsPath = `${folderPath}/.visualise-settings.json`;
-        const settingsResult = await fileBridge?.readFile?.(settingsPath);
-        if (settingsResult?.success && settingsResult.content) {
-          const parsed = JSON.parse(settingsResult.content);
-          // Only use settings if they're enabled
-          if (parsed.enabled !== false) {
-            userSettings = parsed;
-          }
-        }
-      } catch (e) {
-        // Settings file doesn't exist, continue without it
-      }
+      const userSettings = await loadUserSettings();
 
       const res = await window.editorAPI.editComponentElement({
         element,
+        elements,
         prompt,
         fullCode,
         language: componentForm.language,
-        userSettings
+        userSettings,
+        folderPath
       });
 
       if (!res?.success) {
@@ -600,8 +670,94 @@ const App = () => {
       window.alert(err?.message || 'Failed to edit element.');
       return null;
     }
+  }, [componentForm.language, componentBuild.selectedVariation?.filePath, fileBridge, folderPath, loadUserSettings]);
+
+  // Style panel and inline text edits are written into the source directly, without the model.
+  // `method` is the editorAPI call that patches the code and returns { success, updatedCode }.
+  const applyDirectEdit = useCallback(async (method, payload, failureMessage) => {
+    if (!window.editorAPI?.[method]) {
+      window.alert('Editing in the preview is only available in the Electron shell.');
+      return null;
+    }
+
+    try {
+      const filePath = componentBuild.selectedVariation?.filePath;
+      const res = await window.editorAPI[method]({
+        ...payload,
+        language: componentForm.language,
+        filePath
+      });
+
+      if (!res?.success) {
+        window.alert(res?.error || failureMessage);
+        return null;
+      }
+
+      setComponentBuild(prev => ({
+        ...prev,
+        selectedVariation: {
+          ...prev.selectedVariation,
+          code: res.updatedCode
+        }
+      }));
+
+      if (filePath && fileBridge?.writeFile) {
+        await fileBridge.writeFile(filePath, res.updatedCode);
+      }
+      return res;
+    } catch (err) {
+      window.alert(err?.message || failureMessage);
+      return null;
+    }
   }, [componentForm.language, componentBuild.selectedVariation?.filePath, fileBridge]);
 
+  const handleApplyElementStyles = useCallback(({ elements, styles, fullCode }) =>
+    applyDirectEdit('applyElementStyles', { code: fullCode, elements, styles }, 'Failed to apply styles.'), [applyDirectEdit]);
+
+  const handleEditElementText = useCallback(({ element, oldText, newText, fullCode }) =>
+    applyDirectEdit('applyElementText', { code: fullCode, element, oldText, newText }, 'Failed to update the text.'), [applyDirectEdit]);
+
+  // Apply a visual-check critique to the selected variation (see VisualCheckPanel)
+  const handleFixVisualDifferences = useCallback(async ({ critique, fullCode }) => {
+    if (!window.editorAPI?.fixVisualDifferences) {
+      window.alert('Fixing visual differences is only available in the Electron shell.');
+      return null;
+    }
+
+    try {
+      const filePath = componentBuild.selectedVariation?.filePath;
+      const res = await window.editorAPI.fixVisualDifferences({
+        code: fullCode,
+        critique,
+        language: componentForm.language,
+        fileName: filePath ? filePath.split(/[\\/]/).pop() : undefined,
+        folderPath
+      });
+
+      if (!res?.success) {
+        window.alert(res?.error || 'Failed to fix visual differences.');
+        return null;
+      }
+
+      setComponentBuild(prev => ({
+        ...prev,
+        selectedVariation: {
+          ...prev.selectedVariation,
+          code: res.updatedCode,
+          validation: res.validation
+        }
+      }));
+
+      if (filePath && fileBridge?.writeFile) {
+        await fileBridge.writeFile(filePath, res.updatedCode);
+      }
+      return res;
+    } catch (err) {
+      window.alert(err?.message || 'Failed to fix visual differences.');
+      return null;
+    }
+  }, [componentForm.language, componentBuild.selectedVariation?.filePath, fileBridge, folderPath]);
+
   const [createRequest, setCreateRequest] = useState(null);
 
   const onCreateEntry = useCallback(({ basePath, type }) => {
@@ -688,10 +844,13 @@ const App = () => {
           isCreatingComponent={creatingComponent}
           componentForm={componentForm}
           onComponentFormChange={handleComponentFormChange}
+          variationOptions={variationOptions}
+          onVariationOptionsChange={setVariationOptions}
           fieldsComplete={componentFieldsComplete}
           hasImage={componentHasImage}
           analysisReady={analysisReady}
           onBuild={handleBuildComponent}
+          onCancelBuild={handleCancelBuild}
           buildState={componentBuild}
           folderPath={folderPath}
           fileBridge={fileBridge}
@@ -700,6 +859,7 @@ const App = () => {
             setBuildPlanOpen(true);
           }}
           onRefreshTree={refreshTree}
+          previewUrl={viewMode === 'visual' ? previewUrl : ''}
         />
         {viewMode === 'code' ? (
           aiActiveTab === 'components' ? (
@@ -716,6 +876,7 @@ const App = () => {
                 hasImage={componentHasImage}
                 onImageStatusChange={handleImageStatusChange}
                 componentForm={componentForm}
+                folderPath={folderPath}
                 buildState={componentBuild}
                 onSelectVariation={handleSelectVariation}
                 onUpdateCode={code => {
@@ -728,6 +889,11 @@ const App = () => {
                   }));
                 }}
                 onEditElement={handleEditElement}
+                onApplyElementStyles={handleApplyElementStyles}
+                onEditElementText={handleEditElementText}
+                designSettings={designSettings}
+                breakpoints={previewBreakpoints}
+                onFixVisualDifferences={handleFixVisualDifferences}
                 isTestMode={isTestMode}
               />
             ) : (
@@ -752,6 +918,7 @@ const App = () => {
             <SettingsPage
               folderPath={folderPath}
               fileBridge={fileBridge}
+              onSettingsSaved={handleSettingsSaved}
             />
           ) : aiActiveTab === 'animate' ? (
             <div className="panel-animate-placeholder" style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', height: '100%', color: '#666', flexDirection: 'column', gap: '16px' }}>
@@ -4,6 +4,7 @@ import animateIcon from '../assets/icons/animate.svg';
 import componentsIcon from '../assets/icons/components.svg';
 import settingsIcon from '../assets/icons/settings.svg';
 import BuildChat from './BuildChat.jsx';
+import VariationOptions from './VariationOptions.jsx';
 
 const AIChatPlaceholder = ({
   activeTab: controlledActiveTab,
@@ -11,15 +12,19 @@ const AIChatPlaceholder = ({
   isCreatingComponent,
   componentForm = {},
   onComponentFormChange,
+  variationOptions,
+  onVariationOptionsChange,
   fieldsComplete,
   hasImage,
   analysisReady,
   onBuild,
+  onCancelBuild,
   buildState = {},
   folderPath,
   fileBridge,
   onOpenBuildPlan,
-  onRefreshTree
+  onRefreshTree,
+  previewUrl
 }) => {
   const textareaRef = useRef(null);
   const [value, setValue] = useState('');
@@ -43,7 +48,8 @@ const AIChatPlaceholder = ({
     ta.style.overflow = ta.scrollHeight > maxHeight ? 'auto' : 'hidden';
   }, [value]);
 
-  const buildDisabled = !fieldsComplete || !analysisReady || buildState?.status === 'building';
+  const needsModels = variationOptions?.strategy === 'models' && variationOptions.models.length === 0;
+  const buildDisabled = !fieldsComplete || !analysisReady || needsModels || buildState?.status === 'building';
 
   return (
     <section className="panel panel-chat">
@@ -98,6 +104,9 @@ const AIChatPlaceholder = ({
               <option>Plain HTML/CSS</option>
             </select>
           </label>
+          {variationOptions && (
+            <VariationOptions options={variationOptions} onChange={onVariationOptionsChange} fileBridge={fileBridge} />
+          )}
 
           <div className="component-hint-row">
             {!fieldsComplete && <span className="component-hint">Fill every field to unlock image upload.</span>}
@@ -116,14 +125,20 @@ const AIChatPlaceholder = ({
               {buildState?.status === 'building' ? 'Building…' : 'Build'}
             </button>
             {buildState?.status === 'building' && <div className="build-inline-loader" aria-label="Building" />}
+            {buildState?.status === 'building' && onCancelBuild && (
+              <button type="button" className="build-stop-button" onClick={onCancelBuild}>
+                Stop
+              </button>
+            )}
             {buildState?.status === 'error' && <div className="build-inline-error">{buildState.error}</div>}
+            {buildState?.status === 'cancelled' && <div className="build-inline-cancelled">Build cancelled.</div>}
             {buildState?.status === 'done' && buildState.filePath && (
               <div className="build-inline-success">Built to {buildState.filePath}</div>
             )}
           </div>
         </div>
       ) : activeTab === 'build' ? (
-        <BuildChat folderPath={folderPath} fileBridge={fileBridge} onOpenBuildPlan={onOpenBuildPlan} onRefreshTree={onRefreshTree} />
+        <BuildChat folderPath={folderPath} fileBridge={fileBridge} onOpenBuildPlan={onOpenBuildPlan} onRefreshTree={onRefreshTree} previewUrl={previewUrl} />
       ) : activeTab === 'animate' ? (
         <>
           <div className="chat-body">
@@ -1,15 +1,33 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
+import VisualCheckPanel, { AUTO_FIX_BELOW_SIMILARITY } from './VisualCheckPanel.jsx';
+
+// What the visual check should render after a build: the running preview when
+// there is one, otherwise the HTML entry among the written files
+const pickVisualCheckTarget = (files, previewUrl) => {
+  if (previewUrl) return { url: previewUrl };
+  const htmlFile = files.find(f => /(^|\/)index\.html?$/i.test(f.path)) || files.find(f => /\.html?$/i.test(f.path));
+  return htmlFile ? { filePath: htmlFile.fullPath } : null;
+};
 
-const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree }) => {
+const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree, previewUrl }) => {
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState('');
   const [uploadedImage, setUploadedImage] = useState(null); // { base64, preview, mimeType }
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [isBuilding, setIsBuilding] = useState(false);
-  const [buildPlan, setBuildPlan] = useState(null); // { summary, detailedPrompt, files[] }
+  const [buildPlan, setBuildPlan] = useState(null); // { summary, files[], notes } - see electron/buildPlan.js
   const [awaitingApproval, setAwaitingApproval] = useState(false);
   const [buildMode, setBuildMode] = useState('builder'); // 'builder' | 'tweaker'
   const [replyingTo, setReplyingTo] = useState(null); // For showing reply context
+  const [buildProgress, setBuildProgress] = useState(null); // { files[], current, repairing } while execute-build streams
+  const [activeRequestId, setActiveRequestId] = useState(null); // In-flight AI request that Stop cancels
+  const [stagedBuild, setStagedBuild] = useState(null); // { kind: 'build' | 'tweak', plan, files[] } generated but not yet written
+  const [lastBuild, setLastBuild] = useState(null); // { kind, buildId, files[] } most recent journaled build, for Undo
+  const [isUndoing, setIsUndoing] = useState(false);
+  const [designImage, setDesignImage] = useState(null); // Data URL of the design the current build came from
+  const [pendingVisualCheck, setPendingVisualCheck] = useState(null); // { target, allowAutoFix } queued after files are written
+  const [visualCheckStatus, setVisualCheckStatus] = useState('idle');
+  const [autoFixVisual, setAutoFixVisual] = useState(false);
 
   const messagesEndRef = useRef(null);
   const fileInputRef = useRef(null);
@@ -33,17 +51,86 @@ const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree }) =
   }, [inputValue]);
 
   // Add a message to the chat
-  const addMessage = useCallback((role, content, image = null, replyTo = null) => {
+  const addMessage = useCallback((role, content, image = null, replyTo = null, extra = {}) => {
     setMessages(prev => [...prev, {
       id: Date.now(),
       role,
       content,
       image,
       replyTo,
+      ...extra,
       timestamp: new Date().toISOString()
     }]);
   }, []);
 
+  // Report a failed AI result, treating a user cancellation as a normal outcome
+  const addFailureMessage = useCallback((result, label) => {
+    if (result?.cancelled) {
+      addMessage('assistant', `⏹️ ${result.error || 'Cancelled.'}`);
+    } else {
+      addMessage('assistant', `❌ ${label}: ${result?.error || 'Unknown error'}`);
+    }
+  }, [addMessage]);
+
+  // Cancel whichever analysis/refinement/build is currently running
+  const handleStop = useCallback(() => {
+    if (activeRequestId) {
+      window.editorAPI?.cancelAiRequest?.(activeRequestId);
+    }
+  }, [activeRequestId]);
+
+  // Run execute-build while streaming the files being written into buildProgress
+  const runExecuteBuild = useCallback(async (plan) => {
+    const requestId = crypto.randomUUID();
+    setActiveRequestId(requestId);
+    setBuildProgress({ files: [], current: '' });
+    const unsubscribe = window.editorAPI?.onAiStream?.(payload => {
+      if (payload?.requestId !== requestId) return;
+      if (payload.type === 'file') {
+        setBuildProgress(prev => prev && { files: [...prev.files, payload.path], current: '' });
+      } else if (payload.type === 'token') {
+        // Only the tail of the file being written is shown
+        setBuildProgress(prev => prev && { ...prev, current: (prev.current + payload.token).slice(-2000) });
+      } else if (payload.type === 'repair') {
+        // A generated file failed to parse and is being sent back for a fix
+        setBuildProgress(prev => prev && { ...prev, repairing: `${payload.path} (attempt ${payload.attempt})` });
+      }
+    });
+
+    try {
+      return await window.editorAPI?.executeBuild({
+        buildPlan: plan,
+        folderPath,
+        requestId,
+        stage: true // Files are only written after the user reviews the diffs
+      });
+    } finally {
+      unsubscribe?.();
+      setBuildProgress(null);
+      setActiveRequestId(null);
+    }
+  }, [folderPath]);
+
+  // Open the staged files from execute-build for diff review in the editor
+  const handleBuildResult = useCallback((result, plan) => {
+    if (!result?.success) {
+      addFailureMessage(result, 'Build failed');
+      setAwaitingApproval(true); // Allow retry
+      return;
+    }
+    const changed = result.files.filter(f => f.status !== 'unchanged').length;
+    setStagedBuild({ kind: 'build', plan, files: result.files });
+    let message = `📝 Generated ${result.files.length} file${result.files.length !== 1 ? 's' : ''} (${changed} with changes). Review the diffs in the editor and accept the ones you want written.`;
+    if (result.rejected?.length > 0) {
+      message += `\n\n**Ignored (outside the project folder):**\n${result.rejected.map(p => `  • ${p}`).join('\n')}`;
+    }
+    if (result.warning) {
+      message += `\n\n⚠️ ${result.warning}`;
+    }
+    addMessage('assistant', message);
+    onOpenBuildPlan?.({ ...plan, stagedFiles: result.files });
+  }, [addMessage, addFailureMessage, onOpenBuildPlan]);
+
   // Handle image upload
   const handleImageSelect = async (e) => {
     const file = e.target.files?.[0];
@@ -89,7 +176,10 @@ const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree }) =
     setInputValue('');
     const imageToAnalyze = uploadedImage;
     setUploadedImage(null);
+    setDesignImage(imageToAnalyze.preview);
     setIsAnalyzing(true);
+    const requestId = crypto.randomUUID();
+    setActiveRequestId(requestId);
 
     try {
       // Call the analyze-build-design IPC handler
@@ -97,20 +187,21 @@ const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree }) =
         imageBase64: imageToAnalyze.base64,
         mimeType: imageToAnalyze.mimeType,
         folderPath,
-        userMessage: inputValue
+        userMessage: inputValue,
+        requestId
       });
 
       if (!result?.success) {
-        addMessage('assistant', `❌ Analysis failed: ${result?.error || 'Unknown error'}`);
+        addFailureMessage(result, 'Analysis failed');
         setIsAnalyzing(false);
         return;
       }
 
-      // Store the build plan (includes detailed prompt for Ollama)
+      // Store the structured build plan (per-file specs are validated by the main process)
       const plan = {
         summary: result.summary,
-        detailedPrompt: result.detailedPrompt,
         files: result.files || [],
+        notes: result.notes || '',
         components: result.components || [],
         styleGuide: result.styleGuide || null
       };
@@ -126,34 +217,50 @@ const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree }) =
       addMessage('assistant', `❌ Error: ${err.message}`);
     } finally {
       setIsAnalyzing(false);
+      setActiveRequestId(null);
     }
   };
 
   // Handle tweaker mode - small changes without a design
-  const handleTweakerMessage = async (userMessage) => {
+  // `recheck` is a visual-check target to re-run once the tweak is written
+  const handleTweakerMessage = async (userMessage, { recheck = null } = {}) => {
     if (!folderPath) {
       addMessage('assistant', '⚠️ Please open a project folder first.');
       return;
     }
 
     setIsAnalyzing(true);
+    const requestId = crypto.randomUUID();
+    setActiveRequestId(requestId);
     try {
       const result = await window.editorAPI?.executeTweak?.({
         userMessage,
-        folderPath
+        folderPath,
+        requestId
       });
 
-      if (!result?.success) {
+      if (result?.cancelled) {
+        addFailureMessage(result);
+      } else if (!result?.success) {
         addMessage('assistant', `❌ ${result?.error || 'Failed to apply tweak. Make sure you have files in your project.'}`);
       } else {
+        // Tweaks are staged like builds: nothing is written until the diffs are accepted
         const fileList = result.modifiedFiles?.map(f => `  • ${f}`).join('\n') || '';
         const response = result.summary || 'Changes applied successfully!';
-        addMessage('assistant', fileList ? `${response}\n\n**Modified files:**\n${fileList}` : response);
+        let message = fileList ? `${response}\n\n**Modified files:**\n${fileList}` : response;
+        if (result.failed?.length > 0) {
+          message += `\n\n**Edits that could not be applied:**\n${result.failed.map(f => `  • ${f.path} (${f.reason})`).join('\n')}`;
+        }
+        addMessage('assistant', `${message}\n\n📝 Review the diffs in the editor and accept the ones you want written.`);
+        const plan = { summary: response, files: [], notes: '' };
+        setStagedBuild({ kind: 'tweak', plan, files: result.files, recheck });
+        onOpenBuildPlan?.({ ...plan, stagedFiles: result.files });
       }
     } catch (err) {
       addMessage('assistant', `❌ Error: ${err.message}`);
     } finally {
       setIsAnalyzing(false);
+      setActiveRequestId(null);
     }
   };
 
@@ -181,22 +288,25 @@ const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree }) =
     // If we're awaiting approval and user wants to refine
     if (awaitingApproval && buildPlan) {
       setIsAnalyzing(true);
+      const requestId = crypto.randomUUID();
+      setActiveRequestId(requestId);
 
       try {
         // Refine the plan based on user feedback
         const result = await window.editorAPI?.refineBuildPlan({
           currentPlan: buildPlan,
           userFeedback: userMessage,
-          folderPath
+          folderPath,
+          requestId
         });
 
         if (!result?.success) {
-          addMessage('assistant', `❌ Failed to refine plan: ${result?.error || 'Unknown error'}`);
+          addFailureMessage(result, 'Failed to refine plan');
         } else {
           setBuildPlan({
             summary: result.summary,
-            detailedPrompt: result.detailedPrompt,
             files: result.files || [],
+            notes: result.notes || '',
             components: result.components || [],
             styleGuide: result.styleGuide || null
           });
@@ -206,6 +316,7 @@ const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree }) =
         addMessage('assistant', `❌ Error: ${err.message}`);
       } finally {
         setIsAnalyzing(false);
+        setActiveRequestId(null);
       }
       return;
     }
@@ -223,21 +334,9 @@ const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree }) =
     addMessage('assistant', '🔨 Starting build process...');
 
     try {
-      const result = await window.editorAPI?.executeBuild({
-        buildPlan,
-        folderPath
-      });
+      const result = await runExecuteBuild(buildPlan);
 
-      if (!result?.success) {
-        addMessage('assistant', `❌ Build failed: ${result?.error || 'Unknown error'}`);
-        setAwaitingApproval(true); // Allow retry
-      } else {
-        // Show success with created files
-        const fileList = result.files?.map(f => `  • ${f.path}`).join('\n') || 'No files created';
-        addMessage('assistant', `✅ Build complete!\n\n**Created files:**\n${fileList}\n\nYou can now view and edit these files in the project tree.`);
-        setBuildPlan(null);
-        onRefreshTree?.();
-      }
+      handleBuildResult(result, buildPlan);
     } catch (err) {
       addMessage('assistant', `❌ Build error: ${err.message}`);
       setAwaitingApproval(true);
@@ -264,20 +363,9 @@ const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree }) =
       addMessage('assistant', '🔨 Starting build process...');
 
       try {
-        const result = await window.editorAPI?.executeBuild({
-          buildPlan,
-          folderPath
-        });
+        const result = await runExecuteBuild(buildPlan);
 
-        if (!result?.success) {
-          addMessage('assistant', `❌ Build failed: ${result?.error || 'Unknown error'}`);
-          setAwaitingApproval(true);
-        } else {
-          const fileList = result.files?.map(f => `  • ${f.path}`).join('\n') || 'No files created';
-          addMessage('assistant', `✅ Build complete!\n\n**Created files:**\n${fileList}\n\nYou can now view and edit these files in the project tree.`);
-          setBuildPlan(null);
-          onRefreshTree?.();
-        }
+        handleBuildResult(result, buildPlan);
       } catch (err) {
         addMessage('assistant', `❌ Build error: ${err.message}`);
         setAwaitingApproval(true);
@@ -287,7 +375,7 @@ const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree }) =
     } else if (feedback.type === 'feedback' && feedback.comments?.length > 0) {
       // User has comments - show them and build with feedback incorporated
       const feedbackText = feedback.comments.map(c =>
-        `**On:** "${c.lineContent.slice(0, 50)}${c.lineContent.length > 50 ? '...' : ''}"\n→ ${c.comment}`
+        `**On:** ${c.path || 'the overall plan'}\n→ ${c.comment}`
       ).join('\n\n');
 
       setReplyingTo('Build Plan');
@@ -300,31 +388,143 @@ const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree }) =
       addMessage('assistant', '🔨 Building with your feedback...');
 
       try {
-        const result = await window.editorAPI?.executeBuild({
-          buildPlan: {
-            ...buildPlan,
-            userFeedback: feedbackText // Include feedback in the build
-          },
-          folderPath
+        const result = await runExecuteBuild({
+          ...buildPlan,
+          userFeedback: feedbackText // Include feedback in the build
         });
 
-        if (!result?.success) {
-          addMessage('assistant', `❌ Build failed: ${result?.error || 'Unknown error'}`);
-          setAwaitingApproval(true);
-        } else {
-          const fileList = result.files?.map(f => `  • ${f.path}`).join('\n') || 'No files created';
-          addMessage('assistant', `✅ Build complete!\n\n**Created files:**\n${fileList}\n\nYou can now view and edit these files in the project tree.`);
-          setBuildPlan(null);
-          onRefreshTree?.();
-        }
+        handleBuildResult(result, buildPlan);
       } catch (err) {
         addMessage('assistant', `❌ Build error: ${err.message}`);
         setAwaitingApproval(true);
       } finally {
         setIsBuilding(false);
       }
+    } else if (feedback.type === 'apply') {
+      // User reviewed the staged files - write only the accepted ones
+      const isTweak = stagedBuild?.kind === 'tweak';
+      setStagedBuild(null);
+      if (!feedback.files?.length) {
+        addMessage('assistant', '🗑️ No files accepted. Nothing was written.');
+        if (!isTweak) setAwaitingApproval(true);
+        return;
+      }
+
+      try {
+        const result = await window.editorAPI?.applyBuildFiles({ folderPath, files: feedback.files });
+        if (!result?.success) {
+          let message = `❌ Failed to write files: ${result?.error || 'Unknown error'}`;
+          // A write failed part-way: the files written before it are journaled and can be undone
+          if (result?.buildId) {
+            message += `\n\n**Written before the failure:**\n${result.files.map(f => `  • ${f.path}`).join('\n')}\n\nUse Undo to roll them back.`;
+            setLastBuild({ kind: isTweak ? 'tweak' : 'build', buildId: result.buildId, files: result.files });
+            onRefreshTree?.();
+          }
+          addMessage('assistant', message);
+          return;
+        }
+
+        const fileList = result.files.map(f => `  • ${f.path}`).join('\n') || '  • (none)';
+        let message = `✅ ${isTweak ? 'Changes applied' : 'Build complete'}!\n\n**Written files:**\n${fileList}`;
+        if (result.conflicts?.length > 0) {
+          message += `\n\n**Skipped (changed on disk since review):**\n${result.conflicts.map(p => `  • ${p}`).join('\n')}`;
+        }
+        addMessage('assistant', `${message}\n\nYou can now view and edit these files in the project tree.`);
+        if (result.buildId) setLastBuild({ kind: isTweak ? 'tweak' : 'build', buildId: result.buildId, files: result.files });
+        if (!isTweak) setBuildPlan(null);
+        onRefreshTree?.();
+
+        // Compare the written page with the design (tweaks only when they came from "Fix differences")
+        const target = isTweak ? stagedBuild?.recheck : pickVisualCheckTarget(result.files, previewUrl);
+        if (designImage && target) {
+          setPendingVisualCheck({ target, allowAutoFix: !isTweak });
+        }
+      } catch (err) {
+        addMessage('assistant', `❌ Error: ${err.message}`);
+      }
+    } else if (feedback.type === 'discard') {
+      setStagedBuild(null);
+      addMessage('assistant', '🗑️ Discarded the generated files. Nothing was written.');
+      if (stagedBuild?.kind !== 'tweak') setAwaitingApproval(true);
+    }
+  }, [addMessage, buildPlan, designImage, folderPath, handleBuildResult, onRefreshTree, previewUrl, runExecuteBuild, stagedBuild]);
+
+  // Send the visual-check critique through the tweaker; the result is staged for review as usual
+  const handleFixVisualDifferences = async (critique, target) => {
+    addMessage('user', '✨ Fix the visual differences');
+    await handleTweakerMessage(
+      `Make the page match the original design more closely. A screenshot comparison found these differences:\n${critique}`,
+      { recheck: target }
+    );
+  };
+
+  // Screenshot the written page and compare it with the design the build came from
+  const runVisualCheck = async (target, { allowAutoFix = true } = {}) => {
+    if (!designImage || !target || !window.editorAPI?.visualCheck) return;
+
+    setVisualCheckStatus('checking');
+    let result;
+    try {
+      result = await window.editorAPI.visualCheck({ ...target, designImage, folderPath });
+    } catch (err) {
+      result = { success: false, error: err.message };
+    } finally {
+      setVisualCheckStatus('idle');
+    }
+
+    if (!result?.success) {
+      addFailureMessage(result, 'Visual check failed');
+      return;
+    }
+    addMessage('assistant', `🔍 Compared the result with your design: ${result.score.similarity}% match.`, null, null, {
+      visualCheck: { ...result, designImage, target }
+    });
+
+    if (allowAutoFix && autoFixVisual && result.critique && result.score.similarity < AUTO_FIX_BELOW_SIMILARITY) {
+      await handleFixVisualDifferences(result.critique, target);
+    }
+  };
+  const runVisualCheckRef = useRef(runVisualCheck);
+  runVisualCheckRef.current = runVisualCheck;
+
+  // Checks are queued from the apply handler and run here, through the ref, so they see the latest state
+  useEffect(() => {
+    if (!pendingVisualCheck) return;
+    setPendingVisualCheck(null);
+    runVisualCheckRef.current(pendingVisualCheck.target, { allowAutoFix: pendingVisualCheck.allowAutoFix });
+  }, [pendingVisualCheck]);
+
+  // Roll back the most recent build using its journal
+  const handleUndoBuild = async () => {
+    if (!lastBuild || !folderPath) return;
+    const ok = window.confirm('Undo the last build? Files it created will be deleted and files it overwrote will be restored; files edited since the build are kept.');
+    if (!ok) return;
+
+    setIsUndoing(true);
+    try {
+      const result = await window.editorAPI?.undoBuild({ folderPath, buildId: lastBuild.buildId });
+      if (!result?.success) {
+        addMessage('assistant', `❌ Undo failed: ${result?.error || 'Unknown error'}`);
+        return;
+      }
+
+      const lines = [
+        ...result.restored.map(p => `  • ${p} (restored)`),
+        ...result.removed.map(p => `  • ${p} (deleted)`)
+      ];
+      let message = `↩️ ${lastBuild.kind === 'tweak' ? 'Tweak' : 'Build'} undone.\n\n**Reverted files:**\n${lines.join('\n') || '  • (none)'}`;
+      if (result.conflicts?.length > 0) {
+        message += `\n\n**Kept (changed since the build):**\n${result.conflicts.map(p => `  • ${p}`).join('\n')}`;
+      }
+      addMessage('assistant', message);
+      setLastBuild(null);
+      onRefreshTree?.();
+    } catch (err) {
+      addMessage('assistant', `❌ Undo error: ${err.message}`);
+    } finally {
+      setIsUndoing(false);
     }
-  }, [addMessage, buildPlan, folderPath]);
+  };
 
   // Register the feedback handler on window for cross-component communication
   useEffect(() => {
@@ -378,6 +578,17 @@ const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree }) =
             </React.Fragment>
           ))}
         </div>
+        {msg.visualCheck && (
+          <VisualCheckPanel
+            designImage={msg.visualCheck.designImage}
+            result={msg.visualCheck}
+            status={isAnalyzing || isBuilding ? 'fixing' : visualCheckStatus}
+            onRun={() => runVisualCheck(msg.visualCheck.target, { allowAutoFix: false })}
+            onFix={critique => handleFixVisualDifferences(critique, msg.visualCheck.target)}
+            autoFix={autoFixVisual}
+            onAutoFixChange={setAutoFixVisual}
+          />
+        )}
       </div>
     );
   };
@@ -440,14 +651,41 @@ const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree }) =
         ) : (
           <>
             {messages.map(renderMessage)}
-            {(isAnalyzing || isBuilding) && (
+            {(isAnalyzing || isBuilding || visualCheckStatus === 'checking') && (
               <div className="build-chat-message assistant">
                 <div className="build-chat-loading">
                   <div className="build-chat-loading-dots">
                     <span></span><span></span><span></span>
                   </div>
-                  <span>{isAnalyzing ? (buildMode === 'tweaker' ? 'Applying changes...' : 'Analyzing design...') : 'Building...'}</span>
+                  <span>
+                    {visualCheckStatus === 'checking'
+                      ? 'Comparing with the design...'
+                      : isAnalyzing ? (buildMode === 'tweaker' ? 'Applying changes...' : 'Analyzing design...') : 'Building...'}
+                  </span>
+                  {activeRequestId && (
+                    <button className="build-chat-stop-btn" onClick={handleStop} title="Stop">
+                      Stop
+                    </button>
+                  )}
                 </div>
+                {isBuilding && buildProgress?.files.length > 0 && (
+                  <div className="build-chat-progress">
+                    {buildProgress.files.map((file, i) => (
+                      <div
+                        key={`${file}-${i}`}
+                        className={`build-chat-progress-file ${i === buildProgress.files.length - 1 ? 'writing' : 'done'}`}
+                      >
+                        {i === buildProgress.files.length - 1 ? '✎' : '✓'} {file}
+                      </div>
+                    ))}
+                    <pre className="build-chat-progress-tail">
+                      {buildProgress.current.split('\n').slice(-6).join('\n')}
+                    </pre>
+                    {buildProgress.repairing && (
+                      <div className="build-chat-progress-repair">Fixing syntax errors in {buildProgress.repairing}…</div>
+                    )}
+                  </div>
+                )}
               </div>
             )}
           </>
@@ -455,6 +693,31 @@ const BuildChat = ({ folderPath, fileBridge, onOpenBuildPlan, onRefreshTree }) =
         <div ref={messagesEndRef} />
       </div>
 
+      {/* Staged build waiting for diff review */}
+      {stagedBuild && !isBuilding && (
+        <div className="build-chat-approval">
+          <button
+            className="build-chat-approve-btn"
+            onClick={() => onOpenBuildPlan?.({ ...stagedBuild.plan, stagedFiles: stagedBuild.files })}
+          >
+            📝 Review Changes
+          </button>
+        </div>
+      )}
+
+      {/* Undo the last written build */}
+      {lastBuild && !stagedBuild && !isBuilding && !awaitingApproval && (
+        <div className="build-chat-approval">
+          <button
+            className="build-chat-undo-btn"
+            onClick={handleUndoBuild}
+            disabled={isUndoing}
+          >
+            {isUndoing ? 'Undoing…' : `↩ Undo ${lastBuild.kind === 'tweak' ? 'Tweak' : 'Build'} (${lastBuild.files.length} file${lastBuild.files.length !== 1 ? 's' : ''})`}
+          </button>
+        </div>
+      )}
+
       {/* Approval button */}
       {awaitingApproval && !isBuilding && (
         <div className="build-chat-approval">
@@ -1,8 +1,33 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useMemo, useEffect } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { guessLanguage } from './EditorPane.jsx';
+import ValidationBadge from './ValidationBadge.jsx';
+
+// Comment key for feedback on the plan as a whole rather than a single file
+const OVERVIEW_KEY = '__plan__';
+
+// Group plan files by directory so they render as a tree
+const groupFilesByDirectory = (files = []) => {
+  const groups = new Map();
+  files.forEach(file => {
+    const slash = file.path.lastIndexOf('/');
+    const dir = slash === -1 ? '' : file.path.slice(0, slash);
+    if (!groups.has(dir)) groups.set(dir, []);
+    groups.get(dir).push(file);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([dir, dirFiles]) => ({ dir, files: dirFiles.sort((a, b) => a.path.localeCompare(b.path)) }));
+};
+
+const STATUS_LABELS = { new: 'New', modified: 'Modified', unchanged: 'Unchanged' };
 
 /**
- * BuildPlanPreview - Renders a build plan in a nice formatted view
- * with the ability to add inline comments to specific lines.
+ * BuildPlanPreview - Renders a structured build plan as a per-file tree
+ * with the ability to add inline comments to the overview or any file.
+ * When the plan carries `stagedFiles` (a staged execute-build result) it
+ * instead shows a diff per file so the user can accept or reject each one
+ * before anything is written.
  */
 const BuildPlanPreview = ({ 
   plan, 
@@ -14,59 +39,76 @@ const BuildPlanPreview = ({
   onTabClick,
   onTabClose
 }) => {
-  // Each line can have a comment attached
+  // Each file (keyed by path) or the overview can have a comment attached
   const [comments, setComments] = useState({});
-  // Which line is currently being commented on
-  const [activeCommentLine, setActiveCommentLine] = useState(null);
+  // Which item is currently being commented on
+  const [activeCommentKey, setActiveCommentKey] = useState(null);
   // Input value for the active comment
   const [commentInput, setCommentInput] = useState('');
+  // Files whose full generator spec is expanded
+  const [expandedSpecs, setExpandedSpecs] = useState({});
+  // Review mode: which staged files will be written, and which diff is shown
+  const [acceptedFiles, setAcceptedFiles] = useState({});
+  const [selectedStagedPath, setSelectedStagedPath] = useState(null);
+
+  const stagedFiles = plan?.stagedFiles;
+
+  // Accept everything that actually changes by default
+  useEffect(() => {
+    if (!stagedFiles) return;
+    setAcceptedFiles(Object.fromEntries(stagedFiles.map(f => [f.path, f.status !== 'unchanged'])));
+    setSelectedStagedPath(stagedFiles[0]?.path || null);
+  }, [stagedFiles]);
 
   // Check if a specific tab is dirty
   const isTabDirty = (tab) => tab.content !== tab.savedContent;
 
-  // Parse the plan summary into lines for annotation
-  const planLines = (plan?.summary || '').split('\n').filter(line => line.trim());
+  const fileGroups = useMemo(() => groupFilesByDirectory(plan?.files), [plan]);
 
-  // Handle clicking on a line to add a comment
-  const handleLineClick = useCallback((lineIndex) => {
-    if (activeCommentLine === lineIndex) {
-      // Toggle off if clicking the same line
-      setActiveCommentLine(null);
+  // Handle clicking on an item to add a comment
+  const handleItemClick = useCallback((key) => {
+    if (activeCommentKey === key) {
+      // Toggle off if clicking the same item
+      setActiveCommentKey(null);
       setCommentInput('');
     } else {
-      setActiveCommentLine(lineIndex);
-      setCommentInput(comments[lineIndex] || '');
+      setActiveCommentKey(key);
+      setCommentInput(comments[key] || '');
     }
-  }, [activeCommentLine, comments]);
+  }, [activeCommentKey, comments]);
 
-  // Save comment for a line
-  const handleSaveComment = useCallback((lineIndex) => {
+  // Save comment for an item
+  const handleSaveComment = useCallback((key) => {
     if (commentInput.trim()) {
       setComments(prev => ({
         ...prev,
-        [lineIndex]: commentInput.trim()
+        [key]: commentInput.trim()
       }));
     } else {
       // Remove comment if empty
       setComments(prev => {
         const newComments = { ...prev };
-        delete newComments[lineIndex];
+        delete newComments[key];
         return newComments;
       });
     }
-    setActiveCommentLine(null);
+    setActiveCommentKey(null);
     setCommentInput('');
   }, [commentInput]);
 
   // Remove a comment
-  const handleRemoveComment = useCallback((lineIndex) => {
+  const handleRemoveComment = useCallback((key) => {
     setComments(prev => {
       const newComments = { ...prev };
-      delete newComments[lineIndex];
+      delete newComments[key];
       return newComments;
     });
   }, []);
 
+  const toggleSpec = useCallback((filePath) => {
+    setExpandedSpecs(prev => ({ ...prev, [filePath]: !prev[filePath] }));
+  }, []);
+
   // Compile all comments and send as feedback
   const handleSendFeedback = useCallback(() => {
     const commentEntries = Object.entries(comments);
@@ -77,63 +119,46 @@ const BuildPlanPreview = ({
       return;
     }
 
-    // Build feedback with line references
-    const feedbackItems = commentEntries.map(([lineIndex, comment]) => ({
-      lineIndex: parseInt(lineIndex),
-      lineContent: planLines[parseInt(lineIndex)] || '',
+    // Build feedback with file references (path is null for the overview)
+    const feedbackItems = commentEntries.map(([key, comment]) => ({
+      path: key === OVERVIEW_KEY ? null : key,
       comment
     }));
 
     onSendFeedback?.({ type: 'feedback', comments: feedbackItems });
-  }, [comments, planLines, onSendFeedback]);
-
-  // Render a single line with optional comment
-  const renderLine = (line, index) => {
-    const hasComment = comments[index];
-    const isActive = activeCommentLine === index;
-    const isHeader = line.startsWith('**') || line.startsWith('##') || line.startsWith('#');
-    const isBullet = line.trim().startsWith('•') || line.trim().startsWith('-') || line.trim().startsWith('*');
-    
-    // Clean up markdown syntax for display
-    let displayLine = line;
-    if (line.startsWith('**') && line.endsWith('**')) {
-      displayLine = line.slice(2, -2);
-    } else if (line.startsWith('## ')) {
-      displayLine = line.slice(3);
-    } else if (line.startsWith('# ')) {
-      displayLine = line.slice(2);
-    }
+  }, [comments, onSendFeedback]);
+
+  const toggleAccepted = useCallback((filePath) => {
+    setAcceptedFiles(prev => ({ ...prev, [filePath]: !prev[filePath] }));
+  }, []);
+
+  // Send the accepted staged files (with the disk contents they were diffed against)
+  const handleApplyStaged = useCallback(() => {
+    const files = stagedFiles
+      .filter(f => acceptedFiles[f.path])
+      .map(({ path, content, original }) => ({ path, content, original }));
+    onSendFeedback?.({ type: 'apply', files });
+  }, [stagedFiles, acceptedFiles, onSendFeedback]);
+
+  // Existing comment or comment input below an item
+  const renderComment = (key) => {
+    const hasComment = comments[key];
+    const isActive = activeCommentKey === key;
 
     return (
-      <div key={index} className="plan-line-wrapper">
-        <div 
-          className={`plan-line ${isHeader ? 'header' : ''} ${isBullet ? 'bullet' : ''} ${hasComment ? 'has-comment' : ''} ${isActive ? 'active' : ''}`}
-          onClick={() => handleLineClick(index)}
-          title="Click to add a comment"
-        >
-          <span className="plan-line-content">
-            {isHeader ? <strong>{displayLine}</strong> : displayLine}
-          </span>
-          {hasComment && !isActive && (
-            <span className="plan-line-comment-indicator" title={comments[index]}>
-              💬
-            </span>
-          )}
-          <span className="plan-line-add-comment">+ Comment</span>
-        </div>
-        
+      <>
         {/* Show existing comment */}
         {hasComment && !isActive && (
           <div className="plan-line-comment">
             <div className="plan-line-comment-content">
               <span className="comment-label">Your comment:</span>
-              <span className="comment-text">{comments[index]}</span>
+              <span className="comment-text">{comments[key]}</span>
             </div>
             <button 
               className="plan-line-comment-edit"
               onClick={(e) => {
                 e.stopPropagation();
-                handleLineClick(index);
+                handleItemClick(key);
               }}
             >
               Edit
@@ -142,7 +167,7 @@ const BuildPlanPreview = ({
               className="plan-line-comment-remove"
               onClick={(e) => {
                 e.stopPropagation();
-                handleRemoveComment(index);
+                handleRemoveComment(key);
               }}
             >
               ×
@@ -156,15 +181,15 @@ const BuildPlanPreview = ({
             <textarea
               value={commentInput}
               onChange={(e) => setCommentInput(e.target.value)}
-              placeholder="Add your feedback about this line..."
+              placeholder={key === OVERVIEW_KEY ? 'Add your feedback about the plan...' : 'Add your feedback about this file...'}
               autoFocus
               onKeyDown={(e) => {
                 if (e.key === 'Enter' && !e.shiftKey) {
                   e.preventDefault();
-                  handleSaveComment(index);
+                  handleSaveComment(key);
                 }
                 if (e.key === 'Escape') {
-                  setActiveCommentLine(null);
+                  setActiveCommentKey(null);
                   setCommentInput('');
                 }
               }}
@@ -172,14 +197,14 @@ const BuildPlanPreview = ({
             <div className="plan-line-comment-actions">
               <button 
                 className="comment-save-btn"
-                onClick={() => handleSaveComment(index)}
+                onClick={() => handleSaveComment(key)}
               >
                 Save
               </button>
               <button 
                 className="comment-cancel-btn"
                 onClick={() => {
-                  setActiveCommentLine(null);
+                  setActiveCommentKey(null);
                   setCommentInput('');
                 }}
               >
@@ -188,11 +213,108 @@ const BuildPlanPreview = ({
             </div>
           </div>
         )}
+      </>
+    );
+  };
+
+  // Small labelled list of chips (components, assets)
+  const renderChips = (label, items, variant) => items?.length > 0 && (
+    <div className="plan-file-chips">
+      <span className="plan-file-chips-label">{label}</span>
+      {items.map(item => (
+        <span key={item} className={`plan-file-chip ${variant}`}>{item}</span>
+      ))}
+    </div>
+  );
+
+  // Render a single file with its details and optional comment
+  const renderFile = (file) => {
+    const hasComment = comments[file.path];
+    const isActive = activeCommentKey === file.path;
+    const fileName = file.path.split('/').pop();
+
+    return (
+      <div key={file.path} className="plan-line-wrapper plan-file">
+        <div 
+          className={`plan-line plan-file-header ${hasComment ? 'has-comment' : ''} ${isActive ? 'active' : ''}`}
+          onClick={() => handleItemClick(file.path)}
+          title="Click to add a comment"
+        >
+          <span className="plan-line-content">
+            <strong className="plan-file-name">{fileName}</strong>
+            <span className="plan-file-purpose">{file.purpose}</span>
+          </span>
+          {hasComment && !isActive && (
+            <span className="plan-line-comment-indicator" title={comments[file.path]}>
+              💬
+            </span>
+          )}
+          <span className="plan-line-add-comment">+ Comment</span>
+        </div>
+
+        <div className="plan-file-details">
+          {renderChips('Reuses', file.reusedComponents, 'reused')}
+          {renderChips('New', file.newComponents, 'new')}
+          {renderChips('Assets', file.assets, 'asset')}
+          {file.notes && <div className="plan-file-notes">{file.notes}</div>}
+          <button className="plan-file-spec-toggle" onClick={() => toggleSpec(file.path)}>
+            {expandedSpecs[file.path] ? '▾ Hide spec' : '▸ Show spec'}
+          </button>
+          {expandedSpecs[file.path] && <pre className="plan-file-spec">{file.spec}</pre>}
+        </div>
+
+        {renderComment(file.path)}
       </div>
     );
   };
 
   const commentCount = Object.keys(comments).length;
+  const acceptedCount = stagedFiles ? stagedFiles.filter(f => acceptedFiles[f.path]).length : 0;
+  const selectedStaged = stagedFiles?.find(f => f.path === selectedStagedPath);
+
+  // Staged build review: file list with accept toggles + Monaco diff of the selected file
+  const renderReview = () => (
+    <div className="build-review">
+      <div className="build-review-files">
+        {stagedFiles.map(file => (
+          <div
+            key={file.path}
+            className={`build-review-file ${file.path === selectedStagedPath ? 'active' : ''}`}
+            onClick={() => setSelectedStagedPath(file.path)}
+          >
+            <input
+              type="checkbox"
+              checked={Boolean(acceptedFiles[file.path])}
+              onChange={() => toggleAccepted(file.path)}
+              onClick={(e) => e.stopPropagation()}
+              title={acceptedFiles[file.path] ? 'Reject this file' : 'Accept this file'}
+            />
+            <span className="build-review-file-path" title={file.path}>{file.path}</span>
+            <ValidationBadge validation={file.validation} />
+            <span className={`build-review-status ${file.status}`}>{STATUS_LABELS[file.status]}</span>
+          </div>
+        ))}
+      </div>
+      <div className="build-review-diff">
+        {selectedStaged && (
+          <DiffEditor
+            height="100%"
+            language={guessLanguage(selectedStaged.path)}
+            theme="vs-dark"
+            original={selectedStaged.original ?? ''}
+            modified={selectedStaged.content}
+            options={{
+              readOnly: true,
+              minimap: { enabled: false },
+              fontSize: 13,
+              scrollBeyondLastLine: false,
+              automaticLayout: true
+            }}
+          />
+        )}
+      </div>
+    </div>
+  );
 
   return (
     <section className="panel panel-editor">
@@ -245,26 +367,71 @@ const BuildPlanPreview = ({
       <div className="build-plan-preview">
         <div className="build-plan-header">
           <div className="build-plan-title">
-            <span className="build-plan-icon">📋</span>
-            <h2>Build Plan</h2>
+            <span className="build-plan-icon">{stagedFiles ? '📝' : '📋'}</span>
+            <h2>{stagedFiles ? 'Review Changes' : 'Build Plan'}</h2>
           </div>
           <p className="build-plan-subtitle">
-            Click on any line to add feedback. When you're ready, send your feedback or approve the plan.
+            {stagedFiles
+              ? 'Nothing has been written yet. Compare each generated file with what is on disk and untick any you want to keep as they are.'
+              : 'Click on the overview or any file to add feedback. When you\'re ready, send your feedback or approve the plan.'}
           </p>
         </div>
 
+        {stagedFiles ? renderReview() : (
         <div className="build-plan-content">
-          {planLines.map((line, index) => renderLine(line, index))}
+          <div className="plan-line-wrapper plan-overview">
+            <div 
+              className={`plan-line ${comments[OVERVIEW_KEY] ? 'has-comment' : ''} ${activeCommentKey === OVERVIEW_KEY ? 'active' : ''}`}
+              onClick={() => handleItemClick(OVERVIEW_KEY)}
+              title="Click to add a comment"
+            >
+              <span className="plan-line-content">
+                <strong>Overview</strong>
+                <span className="plan-overview-text">{plan?.summary}</span>
+                {plan?.notes && <span className="plan-overview-notes">{plan.notes}</span>}
+              </span>
+              <span className="plan-line-add-comment">+ Comment</span>
+            </div>
+            {renderComment(OVERVIEW_KEY)}
+          </div>
+
+          {fileGroups.map(group => (
+            <div key={group.dir || '.'} className="plan-file-group">
+              <div className="plan-file-group-header">📁 {group.dir || '(project root)'}</div>
+              {group.files.map(renderFile)}
+            </div>
+          ))}
         </div>
+        )}
 
         <div className="build-plan-footer">
           <div className="build-plan-comment-count">
-            {commentCount > 0 ? (
+            {stagedFiles ? (
+              <span>{acceptedCount} of {stagedFiles.length} file{stagedFiles.length !== 1 ? 's' : ''} accepted</span>
+            ) : commentCount > 0 ? (
               <span>{commentCount} comment{commentCount !== 1 ? 's' : ''} added</span>
             ) : (
               <span className="muted">No comments yet</span>
             )}
           </div>
+          {stagedFiles ? (
+            <div className="build-plan-actions">
+              <button
+                className="build-plan-btn secondary"
+                onClick={() => onSendFeedback?.({ type: 'discard' })}
+                disabled={isSubmitting}
+              >
+                Discard All
+              </button>
+              <button
+                className="build-plan-btn primary"
+                onClick={handleApplyStaged}
+                disabled={isSubmitting || acceptedCount === 0}
+              >
+                Write {acceptedCount} File{acceptedCount !== 1 ? 's' : ''}
+              </button>
+            </div>
+          ) : (
           <div className="build-plan-actions">
             <button 
             className="build-plan-btn secondary"
@@ -281,6 +448,7 @@ const BuildPlanPreview = ({
             {isSubmitting ? 'Building...' : commentCount > 0 ? 'Build with Feedback' : '✓ Approve & Build'}
           </button>
         </div>
+          )}
       </div>
       </div>
     </section>
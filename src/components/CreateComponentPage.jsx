@@ -1,34 +1,172 @@
 import React, { useState, useRef, useEffect, useMemo } from 'react';
 import Editor from '@monaco-editor/react';
+import ValidationBadge from './ValidationBadge.jsx';
+import VisualCheckPanel, { AUTO_FIX_BELOW_SIMILARITY } from './VisualCheckPanel.jsx';
 import desktopIcon from '../assets/icons/desktop.svg';
 import laptopIcon from '../assets/icons/laptop.svg';
 import mobileIcon from '../assets/icons/mobile.svg';
 import imageIcon from '../assets/icons/image.svg';
 import VersionHistory from './VersionHistory.jsx';
-import { useVersionHistory } from '../hooks/useVersionHistory.js';
+import VersionCompare from './VersionCompare.jsx';
+import StylePanel, { STYLE_PROPERTIES } from './StylePanel.jsx';
+import { BreakpointGrid, PreviewFrame, normalizeBreakpoints } from './DevicePreview.jsx';
+import { usePersistedVersionHistory } from '../hooks/usePersistedVersionHistory.js';
+import { useComponentPreview } from '../hooks/useComponentPreview.js';
+import { useInstrumentedSource } from '../hooks/useInstrumentedSource.js';
+import { wrapHtmlFragment } from '../../electron/htmlPreview.js';
+
+// Device selector value for the side-by-side view of every breakpoint
+const ALL_BREAKPOINTS = 'all';
+
+const deviceIcon = width => (width < 768 ? mobileIcon : width < 1400 ? laptopIcon : desktopIcon);
+
+const DeviceSelector = ({ breakpoints, value, onChange, rotated, onRotate }) => (
+  <div className="device-selector">
+    {breakpoints.map(breakpoint => (
+      <button
+        key={breakpoint.id}
+        type="button"
+        className={`mode-button ${value === breakpoint.id ? 'selected' : ''}`}
+        onClick={() => onChange(breakpoint.id)}
+        title={`${breakpoint.name} (${breakpoint.width} × ${breakpoint.height})`}
+      >
+        <span className="mode-icon" style={{ ['--icon-url']: `url(${deviceIcon(breakpoint.width)})` }} aria-hidden />
+        <span className="mode-label">{breakpoint.width}</span>
+      </button>
+    ))}
+    <button
+      type="button"
+      className={`mode-button ${value === ALL_BREAKPOINTS ? 'selected' : ''}`}
+      onClick={() => onChange(ALL_BREAKPOINTS)}
+      title="All breakpoints side by side"
+    >
+      <span className="device-selector-text" aria-hidden>▥</span>
+      <span className="mode-label">All</span>
+    </button>
+    <button
+      type="button"
+      className={`mode-button ${rotated ? 'selected' : ''}`}
+      onClick={onRotate}
+      disabled={value === ALL_BREAKPOINTS}
+      title="Rotate (swap width and height)"
+    >
+      <span className="device-selector-text" aria-hidden>⟳</span>
+      <span className="mode-label">Rotate</span>
+    </button>
+  </div>
+);
+
+// ---- Inspector helpers (run against the preview iframe's document) ----
+
+const MAX_PREVIEW_HTML = 500;
+
+// Component previews mount into #root; plain HTML previews use the body
+const inspectorRoot = doc => doc.getElementById('root') || doc.body;
+
+// Child indexes from `root` down to `element`, or null when it is outside root
+const getElementPath = (element, root) => {
+  const path = [];
+  for (let node = element; node !== root; node = node.parentElement) {
+    if (!node?.parentElement) return null;
+    path.unshift([...node.parentElement.children].indexOf(node));
+  }
+  return path;
+};
 
-const DeviceSelector = ({ value, onChange }) => {
-  const devices = [
-    { id: 'desktop', icon: desktopIcon, label: 'Desktop' },
-    { id: 'laptop', icon: laptopIcon, label: 'Laptop' },
-    { id: 'mobile', icon: mobileIcon, label: 'Mobile' }
-  ];
+const findByPath = (root, path) => (path || []).reduce((node, index) => node?.children[index] || null, root);
 
-  return (
-    <div className="device-selector">
-      {devices.map(d => (
-        <button
-          key={d.id}
-          type="button"
-          className={`mode-button ${value === d.id ? 'selected' : ''}`}
-          onClick={() => onChange(d.id)}
-          title={d.label}
-        >
-          <span className="mode-icon" style={{ ['--icon-url']: `url(${d.icon})` }} aria-hidden />
-        </button>
-      ))}
-    </div>
-  );
+const samePath = (a, b) => a.length === b.length && a.every((index, i) => index === b[i]);
+
+// Svelte's generated scoping classes (svelte-xxxx) are not in the source
+const isSourceClass = name => !name.startsWith('inspector-') && !/^svelte-[a-z0-9]+$/.test(name);
+
+// Set by the preview build on every element of the component (electron/sourceLocations.js)
+const SOURCE_LOC_ATTRIBUTE = 'data-source-loc';
+
+// A copy without the inspector's own classes and source locations
+const cleanClone = element => {
+  const clone = element.cloneNode(true);
+  [clone, ...clone.querySelectorAll('*')].forEach(node => {
+    node.removeAttribute(SOURCE_LOC_ATTRIBUTE);
+    if (!node.classList.contains('inspector-selected') && !node.classList.contains('inspector-highlight')) return;
+    node.classList.remove('inspector-selected', 'inspector-highlight');
+    if (node.classList.length === 0) node.removeAttribute('class');
+  });
+  return clone;
+};
+
+const sourceClasses = element => Array.from(element.classList).filter(isSourceClass).join(' ');
+
+const describeElement = (element, root) => {
+  const clone = cleanClone(element);
+  const outerHTML = clone.outerHTML;
+  const innerHTML = clone.innerHTML;
+  const tagName = element.tagName.toLowerCase();
+  const classes = sourceClasses(element);
+  return {
+    tagName,
+    classes,
+    // Index among elements that look the same, to tell them apart in the source (styleEdits.js)
+    occurrence: [...root.querySelectorAll(tagName)].filter(other => sourceClasses(other) === classes).indexOf(element),
+    innerHTML: innerHTML.length > 200 ? innerHTML.substring(0, 200) + '...' : innerHTML,
+    outerHTML: outerHTML.length > MAX_PREVIEW_HTML ? outerHTML.substring(0, MAX_PREVIEW_HTML) + '...' : outerHTML,
+    fullOuterHTML: outerHTML,
+    // "start:end" in the component code, when the preview was instrumented
+    sourceLoc: element.getAttribute(SOURCE_LOC_ATTRIBUTE) || null,
+    path: getElementPath(element, root)
+  };
+};
+
+// Elements whose content is only text can be edited in place (double-click)
+const isTextElement = element => element.childNodes.length > 0
+  && [...element.childNodes].every(node => node.nodeType === 3)
+  && element.textContent.trim() !== '';
+
+// The framework that rendered the preview holds on to these text nodes, so an edit
+// is undone by putting the same nodes (and their text) back, never by new ones
+const snapshotTextNodes = element => {
+  const nodes = [...element.childNodes].map(node => ({ node, data: node.data }));
+  return () => {
+    nodes.forEach(({ node, data }) => {
+      node.data = data;
+    });
+    element.replaceChildren(...nodes.map(({ node }) => node));
+  };
+};
+
+// After a reload: find each selected element again (same path, or else the same tag and
+// classes) and refresh its HTML; elements that no longer exist drop out of the selection
+const reselectElements = (selection, root) => selection
+  .map(item => {
+    let element = findByPath(root, item.path);
+    if (!element || element.tagName.toLowerCase() !== item.tagName) {
+      element = [...root.querySelectorAll(item.tagName)].find(candidate => sourceClasses(candidate) === item.classes) || null;
+    }
+    return element ? describeElement(element, root) : null;
+  })
+  .filter(Boolean);
+
+const NO_SCORES = { status: 'idle', scores: {}, ranking: [], recommendedId: null, error: '' };
+
+const SCORE_PARTS = [
+  ['parse', 'Parses'],
+  ['tokens', 'Design tokens'],
+  ['size', 'Rendered size'],
+  ['visual', 'Matches design']
+];
+
+// Tooltip for a variation's score badge: every sub-score plus any size issues
+const describeScore = score => [
+  ...SCORE_PARTS.map(([key, label]) => `${label}: ${typeof score[key] === 'number' ? `${score[key]}/100` : 'n/a'}`),
+  ...(score.issues || [])
+].join('\n');
+
+// One bundled preview per variation card (hooks cannot run inside the grid's map)
+const VariationComponentPreview = ({ variation, folderPath, language }) => {
+  const html = useComponentPreview({ code: variation.code, filePath: variation.tempFilePath, folderPath, language });
+  return html
+    ? <iframe title={`variation-${variation.id}`} srcDoc={html} className="variation-iframe" />
+    : <div className="variation-unavailable">Loading preview…</div>;
 };
 
 const CreateComponentPage = ({
@@ -40,32 +178,54 @@ const CreateComponentPage = ({
   onImageStatusChange,
   buildState = {},
   componentForm = {},
+  folderPath,
   onSelectVariation,
   isTestMode = false,
   onEditElement,
-  onUpdateCode
+  onApplyElementStyles,
+  onEditElementText,
+  onFixVisualDifferences,
+  onUpdateCode,
+  designSettings,
+  breakpoints: savedBreakpoints
 }) => {
-  // Version history hook
+  // Version history, saved per component file under .visualise/history/
+  const selectedVariation = buildState?.selectedVariation;
   const {
     versions,
     currentIndex,
     addVersion,
-    goToVersion,
-    currentVersion,
-    reset: resetHistory
-  } = useVersionHistory(null, 'Initial Build');
+    goToVersion
+  } = usePersistedVersionHistory({
+    componentKey: selectedVariation ? selectedVariation.filePath || `variation-${selectedVariation.id}` : null,
+    code: selectedVariation?.code || '',
+    filePath: selectedVariation?.filePath,
+    folderPath,
+    initialDescription: 'Initial Build'
+  });
 
   // State variables (restored)
+  // Breakpoint the preview is sized to (ALL_BREAKPOINTS: all of them side by side)
   const [device, setDevice] = useState('desktop');
+  const [rotated, setRotated] = useState(false);
+  // Width dragged with the preview's resize handle; replaces the breakpoint's width
+  const [customWidth, setCustomWidth] = useState(null);
   const [selectedFile, setSelectedFile] = useState(null);
   const [previewUrl, setPreviewUrl] = useState('');
+  const [designDataUrl, setDesignDataUrl] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [buildView, setBuildView] = useState('visual');
   const [editMode, setEditMode] = useState(false);
-  const [selectedElement, setSelectedElement] = useState(null);
+  const [selectedElements, setSelectedElements] = useState([]);
+  // Document the inspector is attached to, so the selection outline can follow state changes
+  const [inspectorDoc, setInspectorDoc] = useState(null);
   const [editPrompt, setEditPrompt] = useState('');
   const [isEditing, setIsEditing] = useState(false);
+  // 'prompt' asks the model for a change, 'style' edits styles directly
+  const [editorTab, setEditorTab] = useState('prompt');
+  // Inline styles of the preview elements before the style panel's live preview touched them
+  const stylePreviewRef = useRef(new Map());
   const fileInputRef = useRef(null);
   const previewIframeRef = useRef(null);
   const typingInterval = useRef(null);
@@ -73,24 +233,25 @@ const CreateComponentPage = ({
   const typingIndex = useRef(0);
   const typingChar = useRef(0);
   const [typingText, setTypingText] = useState('');
-
-  // Initialize history when a variation is selected
-  const [currentVariationId, setCurrentVariationId] = useState(null);
-
+  const [visualCheck, setVisualCheck] = useState(null);
+  const [visualCheckStatus, setVisualCheckStatus] = useState('idle');
+  const [autoFixVisual, setAutoFixVisual] = useState(false);
+  const [variationScores, setVariationScores] = useState(NO_SCORES);
+  // { a, b } version indexes shown in the "Versions" tab
+  const [comparePair, setComparePair] = useState(null);
+  // { allowAutoFix } while a check waits for the preview document of new code
+  const pendingCheckRef = useRef(null);
+
+  // Version indexes belong to one component's history
   useEffect(() => {
-    const varId = buildState?.selectedVariation?.id;
-    // Only reset if we change variation locally OR if we just built/selected a fresh one
-    // But be careful not to reset if we just undid/redid (which also updates selectedVariation)
-    // We can detecting "undo/redo" by comparing *currentVersion* to *newProps*. 
-    // If they match, it's likely our own doing.
-    // If they mismatch, it's a "fresh" selection.
-
-    // Simplification: logic to reset history only when ID changes
-    if (varId && varId !== currentVariationId) {
-      setCurrentVariationId(varId);
-      resetHistory(buildState.selectedVariation.code, 'Initial Build');
-    }
-  }, [buildState?.selectedVariation?.id, buildState?.selectedVariation?.code, resetHistory, currentVariationId]);
+    setComparePair(null);
+    setBuildView(view => (view === 'versions' ? 'visual' : view));
+  }, [selectedVariation?.filePath, selectedVariation?.id]);
+
+  const handleCompareVersions = pair => {
+    setComparePair(pair);
+    setBuildView('versions');
+  };
 
   // Handle restoring a version
   const handleRestoreVersion = (index) => {
@@ -105,25 +266,28 @@ const CreateComponentPage = ({
   const pendingPromptRef = useRef(null);
 
   const handleSubmitEdit = async () => {
-    if (!editPrompt.trim() || !selectedElement || !onEditElement) return;
+    if (!editPrompt.trim() || selectedElements.length === 0 || !onEditElement) return;
 
     setIsEditing(true);
     try {
       pendingPromptRef.current = editPrompt;
       const res = await onEditElement({
-        element: selectedElement,
+        elements: selectedElements,
         prompt: editPrompt,
         fullCode: codeForDisplay
       });
 
       // If onEditElement returns the new code, use it to update history immediately
       if (res && res.updatedCode) {
-        addVersion(res.updatedCode, editPrompt);
+        addVersion(res.updatedCode, editPrompt, {
+          prompt: editPrompt,
+          elements: selectedElements.map(({ tagName, classes, outerHTML }) => ({ tagName, classes, outerHTML }))
+        });
         pendingPromptRef.current = null;
       }
 
+      // The selection stays so a follow-up edit can target the same elements
       setEditPrompt('');
-      setSelectedElement(null);
     } catch (err) {
       console.error('Edit failed:', err);
     } finally {
@@ -138,9 +302,57 @@ const CreateComponentPage = ({
   }, []);
 
 
+  // Show style panel changes on the selected elements right away; the source is only written on Apply
+  const handlePreviewStyles = (styles) => {
+    if (!inspectorDoc) return;
+    const root = inspectorRoot(inspectorDoc);
+    selectedElements.forEach(item => {
+      const element = findByPath(root, item.path);
+      if (!element) return;
+      if (!stylePreviewRef.current.has(element)) stylePreviewRef.current.set(element, element.style.cssText);
+      element.style.cssText = stylePreviewRef.current.get(element);
+      Object.entries(styles).forEach(([property, value]) => element.style.setProperty(property, value));
+    });
+  };
+
+  const handleApplyStyles = async (styles) => {
+    if (!onApplyElementStyles || selectedElements.length === 0) return null;
+
+    setIsEditing(true);
+    try {
+      const res = await onApplyElementStyles({ elements: selectedElements, styles, fullCode: codeForDisplay });
+      if (res && res.updatedCode) {
+        const description = `Style: ${Object.keys(styles).join(', ')}`;
+        addVersion(res.updatedCode, description, {
+          elements: selectedElements.map(({ tagName, classes, outerHTML }) => ({ tagName, classes, outerHTML }))
+        });
+      }
+      return res;
+    } finally {
+      setIsEditing(false);
+    }
+  };
+
+  // Inline text edits from the preview; the text is replaced in the source without the model.
+  // Resolves false when nothing was written, so the preview can put the old text back.
+  const handleCommitText = async ({ element, oldText, newText }) => {
+    if (!onEditElementText) return false;
+    const res = await onEditElementText({ element, oldText, newText, fullCode: codeForDisplay });
+    if (!res?.updatedCode) return false;
+
+    const text = newText.trim();
+    addVersion(res.updatedCode, `Text: “${text.length > 40 ? `${text.slice(0, 40)}…` : text}”`, {
+      elements: [{ tagName: element.tagName, classes: element.classes, outerHTML: element.outerHTML }]
+    });
+    return true;
+  };
+  // The inspector's iframe listeners outlive renders; they call the latest handler through this
+  const commitTextRef = useRef(handleCommitText);
+  commitTextRef.current = handleCommitText;
+
   const handleToggleEditMode = () => {
     setEditMode(!editMode);
-    setSelectedElement(null);
+    setSelectedElements([]);
     setEditPrompt('');
   };
 
@@ -150,23 +362,71 @@ const CreateComponentPage = ({
     if (buildState?.status === 'done-selected') {
       setBuildView('visual');
       setEditMode(false);
-      setSelectedElement(null);
+      setSelectedElements([]);
       setEditPrompt('');
     }
   }, [buildState?.status]);
 
-  // Enable/disable element selection in iframe
+  const codeForDisplay = buildState?.selectedVariation?.code || '';
+  const langLower = (componentForm.language || '').toLowerCase();
+  const isHtmlLike = langLower.includes('html');
+  const isReactLike = langLower.includes('react') || langLower.includes('jsx') || langLower.includes('tsx') || langLower.includes('javascript');
+  const isVueLike = langLower.includes('vue');
+  const isSvelteLike = langLower.includes('svelte');
+  // Bundled in the main process (previewBundler.js): React, Vue SFCs and Svelte components
+  const isComponentLike = isReactLike || isVueLike || isSvelteLike;
+
+  // Elements carry their source location so edits can patch just their code
+  const htmlForPreview = useInstrumentedSource({ code: codeForDisplay, language: componentForm.language, enabled: isHtmlLike });
+
+  const previewDocHtml = useMemo(() => wrapHtmlFragment(htmlForPreview), [htmlForPreview]);
+
+  const previewDocComponent = useComponentPreview({
+    code: codeForDisplay,
+    filePath: buildState?.selectedVariation?.filePath,
+    folderPath,
+    language: componentForm.language,
+    enabled: isComponentLike,
+    instrument: true
+  });
+
+  const visualCheckDoc = isHtmlLike ? previewDocHtml : isComponentLike ? previewDocComponent : '';
+
+  // Viewport sizes come from the project's breakpoints (.visualise-settings.json)
+  const breakpoints = useMemo(() => normalizeBreakpoints(savedBreakpoints), [savedBreakpoints]);
+  const showAllBreakpoints = device === ALL_BREAKPOINTS;
+  const activeBreakpoint = breakpoints.find(breakpoint => breakpoint.id === device) || breakpoints[0];
+  const frameSize = {
+    width: customWidth ?? (rotated ? activeBreakpoint.height : activeBreakpoint.width),
+    height: rotated ? activeBreakpoint.width : activeBreakpoint.height
+  };
+
+  const handleDeviceChange = (id) => {
+    setDevice(id);
+    setCustomWidth(null);
+  };
+
+  const handleRotate = () => {
+    setRotated(prev => !prev);
+    setCustomWidth(null);
+  };
+
+  // Enable/disable element selection in iframe; re-run when the (asynchronously bundled) preview doc arrives.
+  // Click selects one element, shift-click adds/removes elements; the selection is re-found by its
+  // DOM path whenever the iframe reloads (e.g. after an edit rewrote the code).
   useEffect(() => {
-    if (!editMode || buildView !== 'visual' || !previewIframeRef.current) {
+    if (!editMode || buildView !== 'visual' || showAllBreakpoints || !previewIframeRef.current) {
       return;
     }
 
     const iframe = previewIframeRef.current;
+    let teardown = null;
 
     const setupInspector = () => {
       try {
         const iframeDoc = iframe.contentDocument || iframe.contentWindow?.document;
-        if (!iframeDoc) return;
+        if (!iframeDoc?.body) return;
+        teardown?.();
 
         // Inject inspector styles
         let styleEl = iframeDoc.getElementById('inspector-styles');
@@ -184,6 +444,11 @@ const CreateComponentPage = ({
               outline-offset: 2px !important;
               background: rgba(0, 255, 136, 0.1) !important;
             }
+            [contenteditable] {
+              outline: 2px dashed #ffd166 !important;
+              outline-offset: 2px !important;
+              cursor: text !important;
+            }
           `;
           iframeDoc.head.appendChild(styleEl);
         }
@@ -199,65 +464,122 @@ const CreateComponentPage = ({
         };
 
         const handleClick = (e) => {
+          // Let clicks place the caret while text is being edited
+          if (e.target.isContentEditable) return;
           e.preventDefault();
           e.stopPropagation();
 
-          // Remove previous selection
-          const prevSelected = iframeDoc.querySelector('.inspector-selected');
-          if (prevSelected) {
-            prevSelected.classList.remove('inspector-selected', 'inspector-highlight');
-          }
-
-          // Add new selection
-          e.target.classList.add('inspector-selected');
+          const root = inspectorRoot(iframeDoc);
+          if (e.target === root || !root.contains(e.target)) return;
           e.target.classList.remove('inspector-highlight');
+          const info = describeElement(e.target, root);
+          const additive = e.shiftKey;
 
-          // Extract element info
-          const tagName = e.target.tagName.toLowerCase();
-          const classes = Array.from(e.target.classList)
-            .filter(c => !c.startsWith('inspector-'))
-            .join(' ');
-          const innerHTML = e.target.innerHTML;
-          const outerHTML = e.target.outerHTML;
-
-          setSelectedElement({
-            tagName,
-            classes,
-            innerHTML: innerHTML.length > 200 ? innerHTML.substring(0, 200) + '...' : innerHTML,
-            outerHTML: outerHTML.length > 500 ? outerHTML.substring(0, 500) + '...' : outerHTML,
-            fullOuterHTML: outerHTML
+          setSelectedElements(prev => {
+            if (!additive) return [info];
+            const alreadySelected = prev.some(item => samePath(item.path, info.path));
+            return alreadySelected ? prev.filter(item => !samePath(item.path, info.path)) : [...prev, info];
           });
         };
 
+        // Double-click a text element to edit its copy in place: Enter or leaving saves, Escape cancels
+        const handleDoubleClick = (e) => {
+          const element = e.target;
+          const root = inspectorRoot(iframeDoc);
+          if (element === root || !root.contains(element) || element.isContentEditable || !isTextElement(element)) return;
+          e.preventDefault();
+
+          const info = describeElement(element, root);
+          const oldText = element.textContent;
+          const restoreText = snapshotTextNodes(element);
+
+          const finish = (save) => {
+            element.removeEventListener('blur', handleBlur);
+            element.removeEventListener('keydown', handleKeyDown);
+            element.removeAttribute('contenteditable');
+            const newText = element.textContent;
+            if (!save || !newText.trim() || newText.trim() === oldText.trim()) {
+              restoreText();
+              return;
+            }
+            commitTextRef.current({ element: info, oldText, newText }).then(saved => {
+              if (!saved) restoreText();
+            });
+          };
+          const handleBlur = () => finish(true);
+          const handleKeyDown = (event) => {
+            if (event.key !== 'Enter' && event.key !== 'Escape') return;
+            event.preventDefault();
+            finish(event.key === 'Enter');
+          };
+
+          element.classList.remove('inspector-highlight');
+          element.setAttribute('contenteditable', 'plaintext-only');
+          element.addEventListener('blur', handleBlur);
+          element.addEventListener('keydown', handleKeyDown);
+          element.focus();
+          iframeDoc.getSelection()?.selectAllChildren(element);
+        };
+
         iframeDoc.body.addEventListener('mouseover', handleMouseOver);
         iframeDoc.body.addEventListener('mouseout', handleMouseOut);
         iframeDoc.body.addEventListener('click', handleClick);
+        iframeDoc.body.addEventListener('dblclick', handleDoubleClick);
 
-        return () => {
+        teardown = () => {
           iframeDoc.body.removeEventListener('mouseover', handleMouseOver);
           iframeDoc.body.removeEventListener('mouseout', handleMouseOut);
           iframeDoc.body.removeEventListener('click', handleClick);
-
-          // Clean up styles
-          const selected = iframeDoc.querySelector('.inspector-selected');
-          if (selected) {
-            selected.classList.remove('inspector-selected', 'inspector-highlight');
-          }
+          iframeDoc.body.removeEventListener('dblclick', handleDoubleClick);
+          iframeDoc.querySelectorAll('.inspector-selected, .inspector-highlight').forEach(node => {
+            node.classList.remove('inspector-selected', 'inspector-highlight');
+          });
         };
+
+        // Carry the selection over to the reloaded document
+        setSelectedElements(prev => reselectElements(prev, inspectorRoot(iframeDoc)));
+        setInspectorDoc(iframeDoc);
       } catch (err) {
         console.error('Failed to setup inspector:', err);
       }
     };
 
-    // Wait for iframe to load
+    // Wait for iframe to load (component previews render a moment after 'load')
     const timer = setTimeout(setupInspector, 100);
-    iframe.addEventListener('load', setupInspector);
+    const handleLoad = () => setTimeout(setupInspector, 300);
+    iframe.addEventListener('load', handleLoad);
 
     return () => {
       clearTimeout(timer);
-      iframe.removeEventListener('load', setupInspector);
+      iframe.removeEventListener('load', handleLoad);
+      teardown?.();
+      setInspectorDoc(null);
     };
-  }, [editMode, buildView]);
+  }, [editMode, buildView, visualCheckDoc, showAllBreakpoints]);
+
+  // Outline the selected elements in the preview
+  useEffect(() => {
+    if (!inspectorDoc) return;
+    const root = inspectorRoot(inspectorDoc);
+    inspectorDoc.querySelectorAll('.inspector-selected').forEach(node => node.classList.remove('inspector-selected'));
+    selectedElements.forEach(item => findByPath(root, item.path)?.classList.add('inspector-selected'));
+  }, [inspectorDoc, selectedElements]);
+
+  // Computed styles of the first selected element, for the style panel
+  const selectedStyles = useMemo(() => {
+    const element = inspectorDoc && selectedElements[0] && findByPath(inspectorRoot(inspectorDoc), selectedElements[0].path);
+    if (!element) return {};
+    const computed = inspectorDoc.defaultView.getComputedStyle(element);
+    return Object.fromEntries(STYLE_PROPERTIES.map(property => [property, computed.getPropertyValue(property)]));
+  }, [inspectorDoc, selectedElements]);
+
+  // A new selection (or a reloaded preview) drops the style panel's live preview
+  useEffect(() => {
+    stylePreviewRef.current.forEach((cssText, element) => {
+      element.style.cssText = cssText;
+    });
+    stylePreviewRef.current = new Map();
+  }, [inspectorDoc, selectedElements]);
 
   const cookingSentences = useMemo(
     () => [
@@ -330,7 +652,7 @@ const CreateComponentPage = ({
         return;
       }
 
-      const result = await window.editorAPI.analyzeImageWithGemini({ imageBase64: base64 });
+      const result = await window.editorAPI.analyzeImageWithGemini({ imageBase64: base64, folderPath });
       if (!result?.success) {
         setError(result?.error || 'Analysis failed.');
         return;
@@ -361,6 +683,7 @@ const CreateComponentPage = ({
     reader.onload = event => {
       const base64 = event.target?.result;
       if (base64) {
+        setDesignDataUrl(base64);
         analyzeImage(base64);
       }
     };
@@ -370,6 +693,7 @@ const CreateComponentPage = ({
   const handleClear = () => {
     setSelectedFile(null);
     setPreviewUrl('');
+    setDesignDataUrl('');
     onAnalysisChange?.('');
     setError('');
     onImageStatusChange?.(false);
@@ -388,99 +712,106 @@ const CreateComponentPage = ({
     !fieldsComplete ? 'create-upload-box-locked' : ''
   ].filter(Boolean).join(' ');
 
-  const codeForDisplay = buildState?.selectedVariation?.code || '';
-  const langLower = (componentForm.language || '').toLowerCase();
-  const isHtmlLike = langLower.includes('html');
-  const isReactLike = langLower.includes('react') || langLower.includes('jsx') || langLower.includes('tsx') || langLower.includes('javascript');
+  const handleFixVisual = async critique => {
+    if (!onFixVisualDifferences) return;
+    setVisualCheckStatus('fixing');
+    try {
+      const res = await onFixVisualDifferences({ critique, fullCode: codeForDisplay });
+      if (res?.updatedCode) {
+        addVersion(res.updatedCode, 'Fix visual differences', { prompt: critique });
+        pendingCheckRef.current = { allowAutoFix: false };
+      }
+    } finally {
+      setVisualCheckStatus('idle');
+    }
+  };
 
-  const previewDocHtml = useMemo(() => {
-    if (!codeForDisplay) return '';
-    if (codeForDisplay.includes('<html')) return codeForDisplay;
-    return `<html><head><style>body{margin:0;padding:16px;background:#0b0d12;color:#f5f5f7;font-family:Segoe UI,system-ui,sans-serif;} *{box-sizing:border-box;}</style></head><body>${codeForDisplay}</body></html>`;
-  }, [codeForDisplay]);
-
-  const previewDocReact = useMemo(() => {
-    if (!codeForDisplay) return '';
-    const jsonCode = JSON.stringify(codeForDisplay);
-    return `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8" />
-  <style>html,body,#root{margin:0;padding:0;height:100%;background:#0b0d12;color:#f5f5f7;font-family:Segoe UI,system-ui,sans-serif;}*{box-sizing:border-box;}</style>
-  <script crossorigin src="https://unpkg.com/react@18/umd/react.development.js"><\/script>
-  <script crossorigin src="https://unpkg.com/react-dom@18/umd/react-dom.development.js"><\/script>
-  <script src="https://unpkg.com/@babel/standalone/babel.min.js"><\/script>
-</head>
-<body>
-  <div id="root"></div>
-  <script>
-    (function(){
-      const showError = (msg) => {
-        const rootEl = document.getElementById('root');
-        rootEl.style.padding = '16px';
-        rootEl.style.color = '#ff9b9b';
-        rootEl.style.fontFamily = 'monospace';
-        rootEl.style.whiteSpace = 'pre-wrap';
-        rootEl.textContent = 'Preview error: ' + msg;
-      };
-      try {
-        if (!window.Babel || !window.React || !window.ReactDOM) {
-          throw new Error('Preview runtime missing React/Babel.');
-        }
-        const source = ${jsonCode};
-        
-        // Strip import/export statements and transform JSX for browser execution
-        // Remove import statements (React is already available globally)
-        let processedSource = source
-          .replace(/^\\s*import\\s+.*?['"](.*?)['"];?\\s*$/gm, '')
-          .replace(/^\\s*import\\s+{[^}]*}\\s+from\\s+['"].*?['"];?\\s*$/gm, '')
-          .replace(/^\\s*import\\s+\\*\\s+as\\s+\\w+\\s+from\\s+['"].*?['"];?\\s*$/gm, '');
-        
-        // Transform export default to assignment
-        processedSource = processedSource
-          .replace(/^\\s*export\\s+default\\s+/gm, 'const __DefaultExport__ = ')
-          .replace(/^\\s*export\\s+/gm, '');
-        
-        // Add the default export return at the end
-        processedSource += '\\nif (typeof __DefaultExport__ !== "undefined") { module.exports.default = __DefaultExport__; }';
-        
-        let transformed;
-        try {
-          transformed = Babel.transform(processedSource, {
-            presets: ['react', 'typescript'],
-            filename: 'Component.tsx'
-          }).code;
-        } catch (transformErr) {
-          showError(transformErr && transformErr.message ? transformErr.message : String(transformErr));
-          console.error('Babel transform error:', transformErr);
-          return;
-        }
+  // Screenshot the preview document in the main process and compare it with the uploaded design
+  const runVisualCheck = async ({ allowAutoFix = true } = {}) => {
+    if (!designDataUrl || !window.editorAPI?.visualCheck) return;
+    if (!visualCheckDoc) {
+      setVisualCheck({ success: false, error: 'Visual check is available for React/JSX, Vue, Svelte and HTML outputs.' });
+      return;
+    }
 
-        const module = { exports: {} };
-        const exports = module.exports;
-        const fn = new Function('module', 'exports', 'React', 'ReactDOM', transformed);
-        try {
-          fn(module, exports, React, ReactDOM);
-        } catch (execErr) {
-          showError(execErr && execErr.message ? execErr.message : String(execErr));
-          console.error('Execution error:', execErr);
-          return;
-        }
+    setVisualCheckStatus('checking');
+    let result;
+    try {
+      result = await window.editorAPI.visualCheck({ html: visualCheckDoc, designImage: designDataUrl, folderPath });
+    } catch (err) {
+      result = { success: false, error: err?.message || 'Visual check failed.' };
+    }
+    setVisualCheck(result);
+    setVisualCheckStatus('idle');
 
-        const mod = module.exports;
-        const Component = mod && mod.default ? mod.default : (typeof mod === 'function' ? mod : (() => React.createElement('div', null, 'No default export found')));
-        const rootEl = document.getElementById('root');
-        const root = ReactDOM.createRoot(rootEl);
-        root.render(React.createElement(Component));
-      } catch (err) {
-        showError(err && err.message ? err.message : String(err));
-        console.error('Preview error:', err);
-      }
-    })();
-  <\/script>
-</body>
-</html>`;
-  }, [codeForDisplay]);
+    if (allowAutoFix && autoFixVisual && result?.success && result.critique
+      && result.score.similarity < AUTO_FIX_BELOW_SIMILARITY) {
+      await handleFixVisual(result.critique);
+    }
+  };
+  // Checks are started from an effect keyed on the preview document; it calls the latest handler through this
+  const runVisualCheckRef = useRef(runVisualCheck);
+  runVisualCheckRef.current = runVisualCheck;
+
+  // Score and rank the variations as soon as a build returns them (see electron/variationScoring.js)
+  useEffect(() => {
+    const variations = buildState?.variations || [];
+    if (buildState?.status !== 'done' || !variations.some(v => v.success) || !window.editorAPI?.scoreComponentVariations) {
+      setVariationScores(NO_SCORES);
+      return undefined;
+    }
+
+    let stale = false;
+    const requestId = crypto.randomUUID();
+    setVariationScores({ ...NO_SCORES, status: 'scoring' });
+    window.editorAPI.scoreComponentVariations({
+      variations,
+      language: componentForm.language,
+      designImage: designDataUrl,
+      folderPath,
+      requestId
+    })
+      .then(res => {
+        if (stale) return;
+        setVariationScores(res?.success
+          ? { status: 'done', scores: res.scores, ranking: res.ranking, recommendedId: res.recommendedId, error: '' }
+          : { ...NO_SCORES, status: 'error', error: res?.error || 'Scoring failed.' });
+      })
+      .catch(err => {
+        if (!stale) setVariationScores({ ...NO_SCORES, status: 'error', error: err?.message || 'Scoring failed.' });
+      });
+
+    return () => {
+      stale = true;
+      window.editorAPI.cancelAiRequest?.(requestId).catch(() => {});
+    };
+  }, [buildState?.status, buildState?.variations, componentForm.language, designDataUrl, folderPath]);
+
+  // Best first once scored; the build's own order until then
+  const rankedVariations = useMemo(() => {
+    const variations = buildState?.variations || [];
+    if (variationScores.status !== 'done') return variations;
+    const position = id => {
+      const index = variationScores.ranking.indexOf(id);
+      return index === -1 ? variations.length : index;
+    };
+    return [...variations].sort((a, b) => position(a.id) - position(b.id));
+  }, [buildState?.variations, variationScores]);
+
+  // Check every freshly selected variation against the design
+  useEffect(() => {
+    setVisualCheck(null);
+    pendingCheckRef.current = buildState?.status === 'done-selected' && designDataUrl ? { allowAutoFix: true } : null;
+  }, [buildState?.status, buildState?.selectedVariation?.id, designDataUrl]);
+
+  // Run a pending check once the preview document is ready (React previews are bundled
+  // asynchronously). Re-checks after a fix do not chain another auto-fix.
+  useEffect(() => {
+    if (!pendingCheckRef.current || !visualCheckDoc) return;
+    const { allowAutoFix } = pendingCheckRef.current;
+    pendingCheckRef.current = null;
+    runVisualCheckRef.current({ allowAutoFix });
+  }, [visualCheckDoc]);
 
   return (
     <section className="panel panel-components create-page">
@@ -491,13 +822,20 @@ const CreateComponentPage = ({
         </div>
 
         <div className="device-selector-centered">
-          <DeviceSelector value={device} onChange={setDevice} />
+          <DeviceSelector
+            breakpoints={breakpoints}
+            value={showAllBreakpoints ? ALL_BREAKPOINTS : activeBreakpoint.id}
+            onChange={handleDeviceChange}
+            rotated={rotated}
+            onRotate={handleRotate}
+          />
         </div>
 
         <div className="create-header-right">
           <VersionHistory
             history={{ versions, currentIndex }}
             onRestore={handleRestoreVersion}
+            onCompare={handleCompareVersions}
           />
           {previewUrl ? (
             <div className="header-action-row">
@@ -515,96 +853,53 @@ const CreateComponentPage = ({
               <div className="typing-line">{typingText}&nbsp;</div>
               <div className="typing-cursor" />
             </div>
+            {Object.keys(buildState.streams || {}).length > 0 && (
+              <div className="variations-grid">
+                {Object.entries(buildState.streams).map(([variationId, streamed]) => (
+                  <div key={variationId} className="variation-card variation-card-streaming">
+                    <pre
+                      className="variation-stream"
+                      // Keep the newest tokens in view
+                      ref={el => { if (el) el.scrollTop = el.scrollHeight; }}
+                    >
+                      {streamed || 'Waiting for the first tokens…'}
+                    </pre>
+                    <div className="variation-label">
+                      Variation {variationId}
+                      {buildState.labels?.[variationId] && <span className="variation-strategy">{buildState.labels[variationId]}</span>}
+                      {buildState.repairs?.[variationId] && (
+                        <span className="variation-repairing">Fixing syntax errors (attempt {buildState.repairs[variationId]})…</span>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         ) : buildState?.status === 'done' ? (
           <div className="build-full-section">
             <div className="variations-grid-container">
               <div className="variations-header">
                 <div className="variations-title">Choose your favorite design</div>
-                <div className="variations-subtitle">Select one of the 4 variations below</div>
+                <div className="variations-subtitle">
+                  Select one of the {buildState.variations?.length || 0} variations below
+                  {variationScores.status === 'scoring' && ' · Scoring variations…'}
+                  {variationScores.status === 'done' && variationScores.recommendedId !== null && ' · Ranked best first'}
+                  {variationScores.status === 'error' && ` · Scoring unavailable: ${variationScores.error}`}
+                </div>
               </div>
               <div className="variations-grid">
-                {buildState.variations?.map((variation) => {
+                {rankedVariations.map((variation) => {
+                  const score = variationScores.scores[variation.id];
+                  const isRecommended = variationScores.recommendedId === variation.id;
                   const varCode = variation.code || '';
-                  const varPreviewHtml = varCode.includes('<html') ? varCode :
-                    `<html><head><style>body{margin:0;padding:16px;background:#0b0d12;color:#f5f5f7;font-family:Segoe UI,system-ui,sans-serif;} *{box-sizing:border-box;}</style></head><body>${varCode}</body></html>`;
-
-                  // Generate React preview without useMemo (can't use hooks in loops)
-                  let varPreviewReact = '';
-                  if (varCode) {
-                    const jsonCode = JSON.stringify(varCode);
-                    varPreviewReact = `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8" />
-  <style>html,body,#root{margin:0;padding:0;height:100%;background:#0b0d12;color:#f5f5f7;font-family:Segoe UI,system-ui,sans-serif;}*{box-sizing:border-box;}</style>
-  <script crossorigin src="https://unpkg.com/react@18/umd/react.development.js"><\/script>
-  <script crossorigin src="https://unpkg.com/react-dom@18/umd/react-dom.development.js"><\/script>
-  <script src="https://unpkg.com/@babel/standalone/babel.min.js"><\/script>
-</head>
-<body>
-  <div id="root"></div>
-  <script>
-    (function(){
-      const showError = (msg) => {
-        const rootEl = document.getElementById('root');
-        rootEl.style.padding = '16px';
-        rootEl.style.color = '#ff9b9b';
-        rootEl.style.fontFamily = 'monospace';
-        rootEl.style.whiteSpace = 'pre-wrap';
-        rootEl.textContent = 'Preview error: ' + msg;
-      };
-      try {
-        if (!window.Babel || !window.React || !window.ReactDOM) {
-          throw new Error('Preview runtime missing React/Babel.');
-        }
-        const source = ${jsonCode};
-        let processedSource = source
-          .replace(/^\\s*import\\s+.*?['"](.*?)['"];?\\s*$/gm, '')
-          .replace(/^\\s*import\\s+{[^}]*}\\s+from\\s+['"].*?['"];?\\s*$/gm, '')
-          .replace(/^\\s*import\\s+\\*\\s+as\\s+\\w+\\s+from\\s+['"].*?['"];?\\s*$/gm, '');
-        processedSource = processedSource
-          .replace(/^\\s*export\\s+default\\s+/gm, 'const __DefaultExport__ = ')
-          .replace(/^\\s*export\\s+/gm, '');
-        processedSource += '\\nif (typeof __DefaultExport__ !== "undefined") { module.exports.default = __DefaultExport__; }';
-        let transformed;
-        try {
-          transformed = Babel.transform(processedSource, {
-            presets: ['react', 'typescript'],
-            filename: 'Component.tsx'
-          }).code;
-        } catch (transformErr) {
-          showError(transformErr && transformErr.message ? transformErr.message : String(transformErr));
-          return;
-        }
-        const module = { exports: {} };
-        const exports = module.exports;
-        const fn = new Function('module', 'exports', 'React', 'ReactDOM', transformed);
-        try {
-          fn(module, exports, React, ReactDOM);
-        } catch (execErr) {
-          showError(execErr && execErr.message ? execErr.message : String(execErr));
-          return;
-        }
-        const mod = module.exports;
-        const Component = mod && mod.default ? mod.default : (typeof mod === 'function' ? mod : (() => React.createElement('div', null, 'No default export found')));
-        const rootEl = document.getElementById('root');
-        const root = ReactDOM.createRoot(rootEl);
-        root.render(React.createElement(Component));
-      } catch (err) {
-        showError(err && err.message ? err.message : String(err));
-      }
-    })();
-  <\/script>
-</body>
-</html>`;
-                  }
+                  const varPreviewHtml = wrapHtmlFragment(varCode);
 
                   return (
                     <button
                       key={variation.id}
                       type="button"
-                      className="variation-card"
+                      className={`variation-card ${isRecommended ? 'variation-card-recommended' : ''}`}
                       onClick={() => onSelectVariation?.(variation.id)}
                       disabled={!variation.success}
                     >
@@ -612,16 +907,31 @@ const CreateComponentPage = ({
                         {variation.success ? (
                           isHtmlLike && varPreviewHtml ? (
                             <iframe title={`variation-${variation.id}`} srcDoc={varPreviewHtml} className="variation-iframe" />
-                          ) : isReactLike && varPreviewReact ? (
-                            <iframe title={`variation-${variation.id}`} srcDoc={varPreviewReact} className="variation-iframe" />
+                          ) : isComponentLike && varCode ? (
+                            <VariationComponentPreview variation={variation} folderPath={folderPath} language={componentForm.language} />
                           ) : (
                             <div className="variation-unavailable">Preview unavailable</div>
                           )
+                        ) : variation.cancelled ? (
+                          <div className="variation-cancelled">Cancelled</div>
                         ) : (
                           <div className="variation-error">Failed to build</div>
                         )}
                       </div>
-                      <div className="variation-label">Variation {variation.id}</div>
+                      <div className="variation-label">
+                        Variation {variation.id}
+                        {variation.success && <ValidationBadge validation={variation.validation} />}
+                        {score && typeof score.overall === 'number' && (
+                          <span
+                            className={`variation-score ${score.overall >= 80 ? 'good' : score.overall >= 60 ? 'fair' : 'poor'}`}
+                            title={describeScore(score)}
+                          >
+                            {score.overall}
+                          </span>
+                        )}
+                        {isRecommended && <span className="variation-recommended">★ Recommended</span>}
+                        {variation.label && <span className="variation-strategy">{variation.label}</span>}
+                      </div>
                     </button>
                   );
                 })}
@@ -644,32 +954,79 @@ const CreateComponentPage = ({
                   </button>
                 )}
               </div>
-              {editMode && selectedElement && (
+              {editMode && selectedElements.length === 0 && (
+                <div className="element-editor-hint">Click an element to edit it. Shift-click to select several and change them together. Double-click text to change it in place.</div>
+              )}
+              {editMode && selectedElements.length > 0 && (
                 <div className="element-editor-panel">
                   <div className="element-info">
-                    <div className="element-info-label">Selected Element:</div>
-                    <div className="element-info-tag">
-                      &lt;{selectedElement.tagName}
-                      {selectedElement.classes && ` class="${selectedElement.classes}"`}&gt;
+                    <div className="element-info-label">
+                      {selectedElements.length === 1 ? 'Selected Element:' : `Selected Elements (${selectedElements.length}):`}
                     </div>
+                    {selectedElements.map(item => (
+                      <div key={item.path.join('.')} className="element-info-tag">
+                        &lt;{item.tagName}
+                        {item.classes && ` class="${item.classes}"`}&gt;
+                        {selectedElements.length > 1 && (
+                          <button
+                            type="button"
+                            className="element-info-remove"
+                            onClick={() => setSelectedElements(prev => prev.filter(other => other !== item))}
+                            title="Remove from selection"
+                          >
+                            ✕
+                          </button>
+                        )}
+                      </div>
+                    ))}
                   </div>
-                  <div className="element-prompt-section">
-                    <textarea
-                      className="element-prompt-input"
-                      value={editPrompt}
-                      onChange={e => setEditPrompt(e.target.value)}
-                      placeholder="Describe how you want to modify this element... (e.g., 'make it blue', 'add padding', 'change the text to...')"
-                      rows={3}
-                    />
+                  <div className="build-result-tabs">
+                    <button
+                      type="button"
+                      className={editorTab === 'prompt' ? 'active' : ''}
+                      onClick={() => setEditorTab('prompt')}
+                    >
+                      Ask AI
+                    </button>
                     <button
                       type="button"
-                      className="element-submit-button"
-                      onClick={handleSubmitEdit}
-                      disabled={!editPrompt.trim() || isEditing}
+                      className={editorTab === 'style' ? 'active' : ''}
+                      onClick={() => setEditorTab('style')}
                     >
-                      {isEditing ? 'Applying changes...' : 'Apply Edit'}
+                      Style
                     </button>
                   </div>
+                  {editorTab === 'style' ? (
+                    <StylePanel
+                      key={selectedElements.map(item => item.path.join('.')).join('|')}
+                      computed={selectedStyles}
+                      designSettings={designSettings}
+                      count={selectedElements.length}
+                      onPreview={handlePreviewStyles}
+                      onApply={handleApplyStyles}
+                      busy={isEditing}
+                    />
+                  ) : (
+                    <div className="element-prompt-section">
+                      <textarea
+                        className="element-prompt-input"
+                        value={editPrompt}
+                        onChange={e => setEditPrompt(e.target.value)}
+                        placeholder={selectedElements.length > 1
+                          ? 'Describe the change to apply to all selected elements... (e.g., \'make them bold\', \'same padding on each\')'
+                          : 'Describe how you want to modify this element... (e.g., \'make it blue\', \'add padding\', \'change the text to...\')'}
+                        rows={3}
+                      />
+                      <button
+                        type="button"
+                        className="element-submit-button"
+                        onClick={handleSubmitEdit}
+                        disabled={!editPrompt.trim() || isEditing}
+                      >
+                        {isEditing ? 'Applying changes...' : 'Apply Edit'}
+                      </button>
+                    </div>
+                  )}
                 </div>
               )}
               <div className="build-result-tabs">
@@ -687,22 +1044,71 @@ const CreateComponentPage = ({
                 >
                   Code
                 </button>
+                <button
+                  type="button"
+                  className={buildView === 'compare' ? 'active' : ''}
+                  onClick={() => setBuildView('compare')}
+                >
+                  Compare{visualCheck?.success ? ` · ${visualCheck.score.similarity}%` : ''}
+                </button>
+                {comparePair && (
+                  <button
+                    type="button"
+                    className={buildView === 'versions' ? 'active' : ''}
+                    onClick={() => setBuildView('versions')}
+                  >
+                    Versions #{comparePair.a + 1} ↔ #{comparePair.b + 1}
+                  </button>
+                )}
               </div>
-              {buildView === 'visual' ? (
+              {buildView === 'versions' && comparePair ? (
+                <VersionCompare
+                  versions={versions}
+                  pair={comparePair}
+                  onPairChange={setComparePair}
+                  isHtml={isHtmlLike}
+                  monacoLanguage={isHtmlLike || isVueLike || isSvelteLike ? 'html' : 'javascript'}
+                  language={componentForm.language}
+                  filePath={selectedVariation?.filePath}
+                  folderPath={folderPath}
+                  onClose={() => {
+                    setComparePair(null);
+                    setBuildView('visual');
+                  }}
+                />
+              ) : buildView === 'compare' ? (
+                <VisualCheckPanel
+                  designImage={designDataUrl}
+                  result={visualCheck}
+                  status={visualCheckStatus}
+                  onRun={() => runVisualCheck()}
+                  onFix={onFixVisualDifferences ? handleFixVisual : undefined}
+                  autoFix={autoFixVisual}
+                  onAutoFixChange={setAutoFixVisual}
+                />
+              ) : buildView === 'visual' ? (
                 <div className="build-result-preview">
-                  {isHtmlLike && previewDocHtml ? (
-                    <iframe ref={previewIframeRef} title="component-preview" srcDoc={previewDocHtml} className="build-preview-iframe" />
-                  ) : isReactLike && previewDocReact ? (
-                    <iframe ref={previewIframeRef} title="component-preview" srcDoc={previewDocReact} className="build-preview-iframe" />
+                  {!visualCheckDoc ? null : showAllBreakpoints ? (
+                    <BreakpointGrid srcDoc={visualCheckDoc} breakpoints={breakpoints} />
                   ) : (
-                    <div className="build-preview-unavailable">Visual preview is available for React/JSX/HTML outputs.</div>
+                    <PreviewFrame
+                      iframeRef={previewIframeRef}
+                      title="component-preview"
+                      srcDoc={visualCheckDoc}
+                      width={frameSize.width}
+                      height={frameSize.height}
+                      onResize={setCustomWidth}
+                    />
+                  )}
+                  {!visualCheckDoc && (
+                    <div className="build-preview-unavailable">Visual preview is available for React/JSX, Vue, Svelte and HTML outputs.</div>
                   )}
                 </div>
               ) : (
                 <div className="build-result-editor">
                   <Editor
                     height="360px"
-                    language={(componentForm.language || 'javascript').toLowerCase().includes('html') ? 'html' : 'javascript'}
+                    language={isHtmlLike || isVueLike || isSvelteLike ? 'html' : 'javascript'}
                     theme="vs-dark"
                     value={codeForDisplay}
                     options={{ minimap: { enabled: false }, readOnly: true, fontSize: 14 }}
@@ -0,0 +1,112 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Used when .visualise-settings.json has no breakpoints (see SettingsPage)
+export const DEFAULT_BREAKPOINTS = [
+  { id: 'desktop', name: 'Desktop', width: 1440, height: 900 },
+  { id: 'laptop', name: 'Laptop', width: 1280, height: 800 },
+  { id: 'mobile', name: 'Mobile', width: 390, height: 844 }
+];
+
+export const MIN_FRAME_WIDTH = 240;
+export const MAX_FRAME_WIDTH = 3840;
+
+// Saved breakpoints with sane sizes, or the defaults when none are usable
+export const normalizeBreakpoints = breakpoints => {
+  const valid = (Array.isArray(breakpoints) ? breakpoints : [])
+    .map(breakpoint => ({
+      ...breakpoint,
+      width: Math.round(Number(breakpoint?.width)),
+      height: Math.round(Number(breakpoint?.height)) || 800
+    }))
+    .filter(breakpoint => breakpoint.id && breakpoint.width >= MIN_FRAME_WIDTH && breakpoint.width <= MAX_FRAME_WIDTH);
+  return valid.length > 0 ? valid : DEFAULT_BREAKPOINTS;
+};
+
+/**
+ * PreviewFrame - An iframe rendered at a real viewport size and scaled down to fit
+ * its container. With `onResize`, the right edge is a handle that drags the
+ * viewport width (reported in viewport pixels, not screen pixels).
+ */
+export const PreviewFrame = ({ srcDoc, title, width, height, iframeRef, onResize }) => {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [available, setAvailable] = useState(0);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const observer = new ResizeObserver(([entry]) => setAvailable(entry.contentRect.width));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const scale = available > 0 ? Math.min(1, available / width) : 1;
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    // The scale at drag start keeps the handle under the pointer while the frame rescales
+    dragRef.current = { startX: e.clientX, startWidth: width, scale };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const next = drag.startWidth + (e.clientX - drag.startX) / drag.scale;
+    onResize(Math.round(Math.min(MAX_FRAME_WIDTH, Math.max(MIN_FRAME_WIDTH, next))));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  return (
+    <div className="preview-frame" ref={containerRef}>
+      <div className="preview-frame-viewport" style={{ width: width * scale, height: height * scale }}>
+        <iframe
+          ref={iframeRef}
+          title={title}
+          srcDoc={srcDoc}
+          className="preview-frame-iframe"
+          style={{ width, height, transform: `scale(${scale})` }}
+        />
+        {onResize && (
+          <div
+            className="preview-frame-handle"
+            role="separator"
+            aria-orientation="vertical"
+            aria-label="Resize preview width"
+            title="Drag to resize"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+          />
+        )}
+      </div>
+      <div className="preview-frame-size">
+        {width} × {height}{scale < 1 ? ` · ${Math.round(scale * 100)}%` : ''}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * BreakpointGrid - The same preview at every breakpoint, side by side. Columns are
+ * sized by viewport width so every frame is drawn at the same scale.
+ */
+export const BreakpointGrid = ({ srcDoc, breakpoints }) => (
+  <div className="breakpoint-grid">
+    {breakpoints.map(breakpoint => (
+      <figure key={breakpoint.id} className="breakpoint-grid-item" style={{ flex: `${breakpoint.width} 1 0` }}>
+        <figcaption>{breakpoint.name} · {breakpoint.width}px</figcaption>
+        <PreviewFrame
+          srcDoc={srcDoc}
+          title={`preview-${breakpoint.id}`}
+          width={breakpoint.width}
+          height={breakpoint.height}
+        />
+      </figure>
+    ))}
+  </div>
+);
@@ -1,7 +1,7 @@
 import React, { useMemo } from 'react';
 import Editor from '@monaco-editor/react';
 
-const guessLanguage = fileName => {
+export const guessLanguage = fileName => {
   const extension = fileName?.split('.').pop()?.toLowerCase();
   switch (extension) {
     case 'js':
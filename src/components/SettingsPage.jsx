@@ -1,5 +1,6 @@
 import React, { useState, useCallback, useEffect, useRef } from 'react';
 import FontPicker, { getAllGoogleFonts, getFontByName, loadGoogleFont } from './FontPicker.jsx';
+import { DEFAULT_BREAKPOINTS, MAX_FRAME_WIDTH, MIN_FRAME_WIDTH } from './DevicePreview.jsx';
 
 const DEFAULT_COLORS = [
   { id: 'primary', name: 'Primary', value: '#4f8ef7' },
@@ -23,7 +24,9 @@ const DEFAULT_SETTINGS = {
   colors: DEFAULT_COLORS,
   codeLanguage: 'React',
   fonts: DEFAULT_FONTS,
-  customFonts: []
+  customFonts: [],
+  aiModels: {},
+  breakpoints: DEFAULT_BREAKPOINTS
 };
 
 const WEIGHT_LABELS = {
@@ -49,9 +52,19 @@ const LANGUAGE_OPTIONS = [
   'Astro'
 ];
 
+// Tasks the user can assign an installed Ollama model to (ids match electron/aiProviders.js)
+const AI_MODEL_TASKS = [
+  { id: 'image-analysis', label: 'Image analysis' },
+  { id: 'component-build', label: 'Component build' },
+  { id: 'element-edit', label: 'Element edit' },
+  { id: 'page-build', label: 'Page build' },
+  { id: 'tweak', label: 'Tweaks' },
+  { id: 'visual-check', label: 'Visual self-check' }
+];
+
 const SETTINGS_FILENAME = '.visualise-settings.json';
 
-const SettingsPage = ({ folderPath, fileBridge }) => {
+const SettingsPage = ({ folderPath, fileBridge, onSettingsSaved }) => {
   const [settings, setSettings] = useState(DEFAULT_SETTINGS);
   const [settingsFileExists, setSettingsFileExists] = useState(false);
   const [images, setImages] = useState([]);
@@ -61,11 +74,14 @@ const SettingsPage = ({ folderPath, fileBridge }) => {
   const [newColorName, setNewColorName] = useState('');
   const [newColorValue, setNewColorValue] = useState('#888888');
   const [showAddColor, setShowAddColor] = useState(false);
+  const [newBreakpoint, setNewBreakpoint] = useState({ name: '', width: '768', height: '1024' });
+  const [showAddBreakpoint, setShowAddBreakpoint] = useState(false);
   const [showFontImport, setShowFontImport] = useState(false);
   const [googleFontUrl, setGoogleFontUrl] = useState('');
   const [saveStatus, setSaveStatus] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [showDisconnectConfirm, setShowDisconnectConfirm] = useState(false);
+  const [aiModelList, setAiModelList] = useState({ status: 'loading', models: [], defaults: {}, error: '' });
   const fileInputRef = useRef(null);
   const fontFileInputRef = useRef(null);
   const saveTimeoutRef = useRef(null);
@@ -168,6 +184,7 @@ const SettingsPage = ({ folderPath, fileBridge }) => {
 
       console.log('Settings saved successfully to:', settingsPath);
       setSaveStatus('saved');
+      onSettingsSaved?.();
       // Clear the "saved" status after 2 seconds
       setTimeout(() => setSaveStatus(''), 2000);
     } catch (e) {
@@ -175,7 +192,7 @@ const SettingsPage = ({ folderPath, fileBridge }) => {
       setSaveStatus('error');
       setTimeout(() => setSaveStatus(''), 3000);
     }
-  }, [folderPath, fileBridge]);
+  }, [folderPath, fileBridge, onSettingsSaved]);
 
   // Enable project settings - creates the settings file
   const handleEnableSettings = useCallback(async () => {
@@ -202,13 +219,14 @@ const SettingsPage = ({ folderPath, fileBridge }) => {
       setSettingsFileExists(true);
       hasLoadedRef.current = true;
       setSaveStatus('saved');
+      onSettingsSaved?.();
       setTimeout(() => setSaveStatus(''), 2000);
     } catch (e) {
       console.error('Failed to create settings file:', e);
       setSaveStatus('error');
       setTimeout(() => setSaveStatus(''), 3000);
     }
-  }, [folderPath, fileBridge]);
+  }, [folderPath, fileBridge, onSettingsSaved]);
 
   // Disconnect - delete the settings file
   const handleDisconnect = useCallback(async () => {
@@ -223,11 +241,12 @@ const SettingsPage = ({ folderPath, fileBridge }) => {
       setSettings(DEFAULT_SETTINGS);
       hasLoadedRef.current = false;
       setShowDisconnectConfirm(false);
+      onSettingsSaved?.();
     } catch (e) {
       console.error('Failed to delete settings file:', e);
       setShowDisconnectConfirm(false);
     }
-  }, [folderPath, fileBridge]);
+  }, [folderPath, fileBridge, onSettingsSaved]);
 
   // Toggle enabled/disabled
   const handleToggleEnabled = useCallback((enabled) => {
@@ -275,6 +294,31 @@ const SettingsPage = ({ folderPath, fileBridge }) => {
     loadImages();
   }, [folderPath, fileBridge]);
 
+  // Load the installed Ollama models for the AI Models section
+  const loadAiModels = useCallback(async () => {
+    if (!fileBridge?.listAiModels) {
+      setAiModelList({ status: 'error', models: [], defaults: {}, error: 'Model selection is only available in the Electron shell.' });
+      return;
+    }
+
+    setAiModelList(prev => ({ ...prev, status: 'loading', error: '' }));
+    try {
+      const res = await fileBridge.listAiModels();
+      setAiModelList({
+        status: res?.success ? 'ready' : 'error',
+        models: res?.models || [],
+        defaults: res?.defaults || {},
+        error: res?.success ? '' : res?.error || 'Could not reach Ollama.'
+      });
+    } catch (err) {
+      setAiModelList({ status: 'error', models: [], defaults: {}, error: err.message });
+    }
+  }, [fileBridge]);
+
+  useEffect(() => {
+    loadAiModels();
+  }, [loadAiModels]);
+
   const findImageFiles = (nodes, basePath) => {
     const imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.ico'];
     const results = [];
@@ -347,10 +391,52 @@ const SettingsPage = ({ folderPath, fileBridge }) => {
     }));
   };
 
+  const handleBreakpointChange = (breakpointId, property, value) => {
+    setSettings(prev => ({
+      ...prev,
+      breakpoints: (prev.breakpoints || DEFAULT_BREAKPOINTS).map(b => b.id === breakpointId ? { ...b, [property]: value } : b)
+    }));
+  };
+
+  const handleAddBreakpoint = () => {
+    const name = newBreakpoint.name.trim();
+    const width = Number(newBreakpoint.width);
+    if (!name || !(width >= MIN_FRAME_WIDTH && width <= MAX_FRAME_WIDTH)) return;
+    const id = name.toLowerCase().replace(/\s+/g, '-');
+    setSettings(prev => ({
+      ...prev,
+      breakpoints: [
+        ...(prev.breakpoints || DEFAULT_BREAKPOINTS).filter(b => b.id !== id),
+        { id, name, width, height: Number(newBreakpoint.height) || 800 }
+      ]
+    }));
+    setNewBreakpoint({ name: '', width: '768', height: '1024' });
+    setShowAddBreakpoint(false);
+  };
+
+  const handleRemoveBreakpoint = (breakpointId) => {
+    setSettings(prev => ({
+      ...prev,
+      breakpoints: (prev.breakpoints || DEFAULT_BREAKPOINTS).filter(b => b.id !== breakpointId)
+    }));
+  };
+
   const handleLanguageChange = (value) => {
     setSettings(prev => ({ ...prev, codeLanguage: value }));
   };
 
+  const handleAiModelChange = (taskId, model) => {
+    setSettings(prev => {
+      const aiModels = { ...(prev.aiModels || {}) };
+      if (model) {
+        aiModels[taskId] = { provider: 'ollama', model };
+      } else {
+        delete aiModels[taskId];
+      }
+      return { ...prev, aiModels };
+    });
+  };
+
   const handleFontPropertyChange = (element, property, value) => {
     setSettings(prev => ({
       ...prev,
@@ -730,6 +816,104 @@ const SettingsPage = ({ folderPath, fileBridge }) => {
             </div>
           </div>
 
+          {/* Breakpoints Section */}
+          <div className="settings-section">
+            <h3 className="settings-section-title">Breakpoints</h3>
+            <p className="settings-section-description">
+              Viewport sizes for the component preview. Each one appears in the device selector and in the all-breakpoints view.
+            </p>
+            <div className="settings-color-list">
+              {(settings.breakpoints || DEFAULT_BREAKPOINTS).map((breakpoint) => (
+                <div key={breakpoint.id} className="settings-color-row">
+                  <div className="settings-breakpoint-size">
+                    <input
+                      type="number"
+                      value={breakpoint.width}
+                      min={MIN_FRAME_WIDTH}
+                      max={MAX_FRAME_WIDTH}
+                      onChange={(e) => handleBreakpointChange(breakpoint.id, 'width', Number(e.target.value))}
+                      className="settings-breakpoint-input"
+                      aria-label={`${breakpoint.name} width`}
+                    />
+                    <span>×</span>
+                    <input
+                      type="number"
+                      value={breakpoint.height}
+                      min={1}
+                      onChange={(e) => handleBreakpointChange(breakpoint.id, 'height', Number(e.target.value))}
+                      className="settings-breakpoint-input"
+                      aria-label={`${breakpoint.name} height`}
+                    />
+                  </div>
+                  <span className="settings-color-name">{breakpoint.name}</span>
+                  <button
+                    type="button"
+                    className="settings-color-remove"
+                    onClick={() => handleRemoveBreakpoint(breakpoint.id)}
+                    title="Remove breakpoint"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+
+              {showAddBreakpoint ? (
+                <div className="settings-color-add-form">
+                  <div className="settings-breakpoint-size">
+                    <input
+                      type="number"
+                      value={newBreakpoint.width}
+                      min={MIN_FRAME_WIDTH}
+                      max={MAX_FRAME_WIDTH}
+                      onChange={(e) => setNewBreakpoint(prev => ({ ...prev, width: e.target.value }))}
+                      className="settings-breakpoint-input"
+                      aria-label="Width"
+                    />
+                    <span>×</span>
+                    <input
+                      type="number"
+                      value={newBreakpoint.height}
+                      min={1}
+                      onChange={(e) => setNewBreakpoint(prev => ({ ...prev, height: e.target.value }))}
+                      className="settings-breakpoint-input"
+                      aria-label="Height"
+                    />
+                  </div>
+                  <input
+                    type="text"
+                    value={newBreakpoint.name}
+                    onChange={(e) => setNewBreakpoint(prev => ({ ...prev, name: e.target.value }))}
+                    className="settings-color-name-input"
+                    placeholder="Name (e.g., Tablet)"
+                    onKeyDown={(e) => e.key === 'Enter' && handleAddBreakpoint()}
+                  />
+                  <button
+                    type="button"
+                    className="settings-btn-confirm"
+                    onClick={handleAddBreakpoint}
+                  >
+                    Add
+                  </button>
+                  <button
+                    type="button"
+                    className="settings-btn-cancel"
+                    onClick={() => setShowAddBreakpoint(false)}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <button
+                  type="button"
+                  className="settings-add-color-btn"
+                  onClick={() => setShowAddBreakpoint(true)}
+                >
+                  + Add Breakpoint
+                </button>
+              )}
+            </div>
+          </div>
+
           {/* Language Section */}
           <div className="settings-section">
             <h3 className="settings-section-title">Code Language</h3>
@@ -749,6 +933,60 @@ const SettingsPage = ({ folderPath, fileBridge }) => {
             </select>
           </div>
 
+          {/* AI Models Section */}
+          <div className="settings-section">
+            <h3 className="settings-section-title">AI Models</h3>
+            <p className="settings-section-description">
+              Pick which installed Ollama model handles each task. Tasks left on Default use the app's configured model.
+            </p>
+
+            {aiModelList.status === 'error' && (
+              <div className="settings-model-status error">{aiModelList.error}</div>
+            )}
+            {aiModelList.status === 'ready' && aiModelList.models.length === 0 && (
+              <div className="settings-model-status">No Ollama models installed. Run <code>ollama pull &lt;model&gt;</code> first.</div>
+            )}
+
+            <div className="settings-model-list">
+              {AI_MODEL_TASKS.map(task => {
+                const selected = settings.aiModels?.[task.id]?.model || '';
+                const fallback = aiModelList.defaults[task.id];
+                // Keep a saved choice visible even when that model is no longer installed
+                const options = selected && !aiModelList.models.includes(selected)
+                  ? [selected, ...aiModelList.models]
+                  : aiModelList.models;
+
+                return (
+                  <div key={task.id} className="settings-model-row">
+                    <span className="settings-model-label">{task.label}</span>
+                    <select
+                      value={selected}
+                      onChange={(e) => handleAiModelChange(task.id, e.target.value)}
+                      className="settings-select"
+                      disabled={aiModelList.status === 'loading'}
+                    >
+                      <option value="">
+                        Default{fallback ? ` (${fallback.provider}: ${fallback.model})` : ''}
+                      </option>
+                      {options.map(model => (
+                        <option key={model} value={model}>{model}</option>
+                      ))}
+                    </select>
+                  </div>
+                );
+              })}
+            </div>
+
+            <button
+              type="button"
+              className="settings-add-color-btn settings-model-refresh"
+              onClick={loadAiModels}
+              disabled={aiModelList.status === 'loading'}
+            >
+              {aiModelList.status === 'loading' ? 'Loading models...' : '↻ Refresh models'}
+            </button>
+          </div>
+
           {/* Typography Section */}
           <div className="settings-section">
             <h3 className="settings-section-title">Typography</h3>
@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+
+export const STYLE_GROUPS = [
+  { label: 'Spacing', properties: ['padding', 'margin', 'gap'] },
+  { label: 'Colors', properties: ['color', 'background-color', 'border-color'] },
+  { label: 'Typography', properties: ['font-family', 'font-size', 'font-weight', 'line-height', 'letter-spacing'] },
+  { label: 'Shape', properties: ['border-radius', 'border-width', 'box-shadow'] }
+];
+
+export const STYLE_PROPERTIES = STYLE_GROUPS.flatMap(group => group.properties);
+
+const COLOR_PROPERTIES = new Set(['color', 'background-color', 'border-color']);
+
+// "rgb(0, 217, 255)" / "#0df" -> "#00d9ff" for <input type="color">
+const toHex = value => {
+  const text = String(value || '').trim();
+  if (/^#[0-9a-f]{6}$/i.test(text)) return text.toLowerCase();
+  if (/^#[0-9a-f]{3}$/i.test(text)) return `#${text.slice(1).split('').map(d => d + d).join('')}`.toLowerCase();
+  const rgb = text.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/);
+  return rgb ? `#${rgb.slice(1, 4).map(n => Number(n).toString(16).padStart(2, '0')).join('')}` : '#000000';
+};
+
+// First family of a font-family list, without quotes
+const primaryFamily = value => String(value || '').split(',')[0].replace(/["']/g, '').trim();
+
+/**
+ * StylePanel - Edit the selected element's styles directly. `computed` holds the
+ * current computed values; changes are previewed live through `onPreview` and
+ * written into the source by `onApply` (no model call). Colors and fonts from
+ * .visualise-settings.json are offered as pickers.
+ */
+const StylePanel = ({ computed = {}, designSettings, count = 1, onPreview, onApply, busy }) => {
+  const [edits, setEdits] = useState({});
+  const palette = designSettings?.colors || [];
+  const families = [...new Set(Object.values(designSettings?.fonts || {}).map(config => config?.family).filter(Boolean))];
+  const changed = Object.keys(edits).length > 0;
+
+  const update = (property, value) => {
+    const next = { ...edits, [property]: value };
+    setEdits(next);
+    onPreview?.(next);
+  };
+
+  const handleReset = () => {
+    setEdits({});
+    onPreview?.({});
+  };
+
+  const handleApply = async () => {
+    const res = await onApply?.(edits);
+    if (res) setEdits({});
+  };
+
+  const renderInput = property => {
+    const value = edits[property] ?? computed[property] ?? '';
+    return (
+      <div key={property} className={`style-panel-row${property in edits ? ' changed' : ''}`}>
+        <label htmlFor={`style-${property}`}>{property}</label>
+        <div className="style-panel-control">
+          {COLOR_PROPERTIES.has(property) && (
+            <input
+              type="color"
+              className="style-panel-color"
+              value={toHex(value)}
+              onChange={e => update(property, e.target.value)}
+              aria-label={`${property} color`}
+            />
+          )}
+          <input
+            id={`style-${property}`}
+            type="text"
+            className="component-input"
+            value={value}
+            onChange={e => update(property, e.target.value)}
+            spellCheck={false}
+          />
+        </div>
+        {COLOR_PROPERTIES.has(property) && palette.length > 0 && (
+          <div className="style-panel-swatches">
+            {palette.map(color => (
+              <button
+                key={`${color.name}-${color.value}`}
+                type="button"
+                className="style-panel-swatch"
+                style={{ background: color.value }}
+                title={`${color.name} (${color.value})`}
+                onClick={() => update(property, color.value)}
+              />
+            ))}
+          </div>
+        )}
+        {property === 'font-family' && families.length > 0 && (
+          <select
+            className="component-input style-panel-fonts"
+            value={families.includes(primaryFamily(value)) ? primaryFamily(value) : ''}
+            onChange={e => e.target.value && update(property, `'${e.target.value}', sans-serif`)}
+          >
+            <option value="">Design system fonts…</option>
+            {families.map(family => (
+              <option key={family} value={family}>{family}</option>
+            ))}
+          </select>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="style-panel">
+      {STYLE_GROUPS.map(group => (
+        <fieldset key={group.label} className="style-panel-group">
+          <legend>{group.label}</legend>
+          {group.properties.map(renderInput)}
+        </fieldset>
+      ))}
+      <div className="style-panel-actions">
+        <button type="button" className="style-panel-reset" onClick={handleReset} disabled={!changed || busy}>
+          Reset
+        </button>
+        <button type="button" className="element-submit-button" onClick={handleApply} disabled={!changed || busy}>
+          {busy ? 'Applying…' : count > 1 ? `Apply to ${count} elements` : 'Apply to source'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StylePanel;
@@ -0,0 +1,40 @@
+import React from 'react';
+
+/**
+ * ValidationBadge - Shows whether generated code parsed (see electron/codeValidation.js).
+ * `validation` is { status: 'valid' | 'invalid' | 'skipped', errors[], attempts }.
+ */
+const ValidationBadge = ({ validation }) => {
+  if (!validation || validation.status === 'skipped') return null;
+
+  const attempts = validation.attempts || 0;
+  const attemptsText = `${attempts} repair attempt${attempts !== 1 ? 's' : ''}`;
+
+  if (validation.status === 'valid') {
+    return (
+      <span
+        className={`validation-badge ${attempts > 0 ? 'repaired' : 'valid'}`}
+        title={attempts > 0 ? `Syntax errors fixed after ${attemptsText}` : 'Code parses without errors'}
+      >
+        {attempts > 0 ? '✓ Repaired' : '✓ Parses'}
+      </span>
+    );
+  }
+
+  const errorCount = validation.errors?.length || 0;
+  const details = (validation.errors || [])
+    .slice(0, 5)
+    .map(error => `Line ${error.line}:${error.column} ${error.message}`)
+    .join('\n');
+
+  return (
+    <span
+      className="validation-badge invalid"
+      title={`${details}${attempts > 0 ? `\n\nStill failing after ${attemptsText}` : ''}`}
+    >
+      ⚠ {errorCount} syntax error{errorCount !== 1 ? 's' : ''}
+    </span>
+  );
+};
+
+export default ValidationBadge;
@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from 'react';
+
+// The main process clamps the count and falls back to its own default (electron/variations.js)
+export const DEFAULT_VARIATION_OPTIONS = { count: 4, strategy: 'temperature', models: [], promptStyles: [] };
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+/**
+ * VariationOptions - How many variations build-component generates and how they differ.
+ * `options` is { count, strategy, models: ["provider:model"], promptStyles: [id] }.
+ * The counts, strategies and prompt styles on offer come from the main process.
+ */
+const VariationOptions = ({ options = DEFAULT_VARIATION_OPTIONS, onChange, fileBridge }) => {
+  const [choices, setChoices] = useState({ status: 'loading', minCount: 1, maxCount: 1, strategies: [], promptStyles: [], error: '' });
+  const [modelChoices, setModelChoices] = useState({ status: 'idle', specs: [], error: '' });
+  const update = updates => onChange?.({ ...options, ...updates });
+
+  useEffect(() => {
+    if (!fileBridge?.getVariationOptions) {
+      setChoices(prev => ({ ...prev, status: 'error', error: 'Variations are only available in the Electron shell.' }));
+      return undefined;
+    }
+    let stale = false;
+    fileBridge.getVariationOptions()
+      .then(res => !stale && setChoices({ ...res, status: 'ready', error: '' }))
+      .catch(err => !stale && setChoices(prev => ({ ...prev, status: 'error', error: err.message })));
+    return () => {
+      stale = true;
+    };
+  }, [fileBridge]);
+
+  // Installed Ollama models plus every model a task is already routed to
+  useEffect(() => {
+    if (options.strategy !== 'models' || modelChoices.status !== 'idle') return;
+    if (!fileBridge?.listAiModels) {
+      setModelChoices({ status: 'error', specs: [], error: 'Model selection is only available in the Electron shell.' });
+      return;
+    }
+
+    setModelChoices({ status: 'loading', specs: [], error: '' });
+    fileBridge.listAiModels()
+      .then(res => {
+        const routed = Object.values(res?.defaults || {}).map(route => `${route.provider}:${route.model}`);
+        const installed = (res?.models || []).map(model => `ollama:${model}`);
+        setModelChoices({
+          status: 'ready',
+          specs: [...new Set([...routed, ...installed])],
+          error: res?.success ? '' : res?.error || 'Could not reach Ollama.'
+        });
+      })
+      .catch(err => setModelChoices({ status: 'error', specs: [], error: err.message }));
+  }, [fileBridge, modelChoices.status, options.strategy]);
+
+  if (choices.status !== 'ready') {
+    return (
+      <div className="variation-options">
+        <span className="component-hint">{choices.error || 'Loading variation options…'}</span>
+      </div>
+    );
+  }
+
+  const counts = Array.from({ length: choices.maxCount - choices.minCount + 1 }, (_value, index) => choices.minCount + index);
+
+  return (
+    <div className="variation-options">
+      <div className="variation-options-row">
+        <label>
+          <div>Variations</div>
+          <select className="component-input" value={options.count} onChange={e => update({ count: Number(e.target.value) })}>
+            {counts.map(count => (
+              <option key={count} value={count}>{count}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <div>Strategy</div>
+          <select className="component-input" value={options.strategy} onChange={e => update({ strategy: e.target.value })}>
+            {choices.strategies.map(strategy => (
+              <option key={strategy.id} value={strategy.id}>{strategy.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {options.strategy === 'models' && (
+        <div className="variation-options-choices">
+          {modelChoices.status === 'loading' && <span className="component-hint">Loading models…</span>}
+          {modelChoices.error && <span className="component-hint">{modelChoices.error}</span>}
+          {modelChoices.specs.map(spec => (
+            <label key={spec} className="variation-options-choice">
+              <input type="checkbox" checked={options.models.includes(spec)} onChange={() => update({ models: toggle(options.models, spec) })} />
+              {spec}
+            </label>
+          ))}
+          {modelChoices.status === 'ready' && options.models.length === 0 && (
+            <span className="component-hint">Pick at least one model; they are used in turn.</span>
+          )}
+        </div>
+      )}
+
+      {options.strategy === 'prompt-styles' && (
+        <div className="variation-options-choices">
+          {choices.promptStyles.map(style => (
+            <label key={style.id} className="variation-options-choice">
+              <input
+                type="checkbox"
+                checked={options.promptStyles.includes(style.id)}
+                onChange={() => update({ promptStyles: toggle(options.promptStyles, style.id) })}
+              />
+              {style.label}
+            </label>
+          ))}
+          {options.promptStyles.length === 0 && <span className="component-hint">None picked: all styles are used in turn.</span>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VariationOptions;
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { useComponentPreview } from '../hooks/useComponentPreview.js';
+import { wrapHtmlFragment } from '../../electron/htmlPreview.js';
+
+const MODES = [
+  { id: 'code', label: 'Code diff' },
+  { id: 'side-by-side', label: 'Side by side' },
+  { id: 'swipe', label: 'Swipe' },
+  { id: 'onion', label: 'Onion skin' }
+];
+
+// Elements an edit targeted; older versions store a single `element`
+const targetLabel = version => {
+  const targets = version.elements || (version.element ? [version.element] : []);
+  if (targets.length === 0) return '';
+  return targets.length === 1 ? ` on <${targets[0].tagName}>` : ` on ${targets.length} elements`;
+};
+
+const versionLabel = (version, index) =>
+  `#${index + 1} ${version.description} · ${new Date(version.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+/**
+ * VersionCompare - Two versions from the version tree: a Monaco diff of the code, or both
+ * rendered previews side by side / overlaid with a swipe or onion-skin slider.
+ * `pair` is { a, b } (indexes into `versions`); the parent owns it so the history dropdown can set it.
+ */
+const VersionCompare = ({
+  versions,
+  pair,
+  onPairChange,
+  isHtml,
+  monacoLanguage,
+  language,
+  filePath,
+  folderPath,
+  onClose
+}) => {
+  const [mode, setMode] = useState('code');
+  const [slider, setSlider] = useState(50);
+
+  const versionA = versions[pair.a];
+  const versionB = versions[pair.b];
+  const codeA = versionA?.data || '';
+  const codeB = versionB?.data || '';
+
+  // Each side is bundled from the component's own location so its imports resolve
+  const bundledA = useComponentPreview({ code: codeA, filePath, folderPath, language, enabled: !isHtml && mode !== 'code' });
+  const bundledB = useComponentPreview({ code: codeB, filePath, folderPath, language, enabled: !isHtml && mode !== 'code' });
+  const docA = isHtml ? wrapHtmlFragment(codeA) : bundledA;
+  const docB = isHtml ? wrapHtmlFragment(codeB) : bundledB;
+
+  const renderPicker = (side, label) => (
+    <label className="version-compare-picker">
+      <span>{label}</span>
+      <select
+        className="component-input"
+        value={pair[side]}
+        onChange={e => onPairChange({ ...pair, [side]: Number(e.target.value) })}
+      >
+        {versions.map((version, index) => (
+          <option key={version.id} value={index}>{versionLabel(version, index)}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const renderFrame = (doc, title, style) => (doc
+    ? <iframe title={title} srcDoc={doc} className="version-compare-iframe" style={style} />
+    : <div className="build-preview-unavailable">Rendering…</div>);
+
+  return (
+    <div className="version-compare">
+      <div className="version-compare-toolbar">
+        {renderPicker('a', 'Before')}
+        {renderPicker('b', 'After')}
+        {onClose && (
+          <button type="button" className="version-compare-close" onClick={onClose} title="Close compare">✕</button>
+        )}
+      </div>
+
+      {versionB?.prompt && (
+        <div className="version-compare-prompt" title={versionB.prompt}>
+          “{versionB.prompt}”{targetLabel(versionB)}
+        </div>
+      )}
+
+      <div className="build-result-tabs">
+        {MODES.map(item => (
+          <button
+            key={item.id}
+            type="button"
+            className={mode === item.id ? 'active' : ''}
+            onClick={() => setMode(item.id)}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'code' ? (
+        <div className="version-compare-diff">
+          <DiffEditor
+            height="100%"
+            language={monacoLanguage}
+            theme="vs-dark"
+            original={codeA}
+            modified={codeB}
+            options={{
+              readOnly: true,
+              minimap: { enabled: false },
+              fontSize: 13,
+              scrollBeyondLastLine: false,
+              automaticLayout: true
+            }}
+          />
+        </div>
+      ) : mode === 'side-by-side' ? (
+        <div className="version-compare-side-by-side">
+          <figure>
+            <figcaption>Before</figcaption>
+            {renderFrame(docA, 'version-before')}
+          </figure>
+          <figure>
+            <figcaption>After</figcaption>
+            {renderFrame(docB, 'version-after')}
+          </figure>
+        </div>
+      ) : (
+        <>
+          {/* "After" is laid over "Before": clipped to the slider for swipe, faded by it for onion skin */}
+          <div className="version-compare-overlay">
+            {renderFrame(docA, 'version-before')}
+            {renderFrame(docB, 'version-after', mode === 'swipe'
+              ? { clipPath: `inset(0 ${100 - slider}% 0 0)` }
+              : { opacity: slider / 100 })}
+            {mode === 'swipe' && <div className="version-compare-divider" style={{ left: `${slider}%` }} />}
+          </div>
+          <label className="version-compare-slider">
+            <span>Before</span>
+            <input type="range" min="0" max="100" value={slider} onChange={e => setSlider(Number(e.target.value))} />
+            <span>After</span>
+          </label>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VersionCompare;
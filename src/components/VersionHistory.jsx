@@ -10,12 +10,42 @@ const ClockIcon = () => (
     </svg>
 );
 
+// Depth-first rows for the version tree. A version's first child continues its line;
+// later children (alternative edits) are listed right after it, one level deeper.
+const buildTreeRows = (versions) => {
+    const ids = new Set(versions.map(version => version.id));
+    const children = new Map();
+    const roots = [];
+    versions.forEach((version, index) => {
+        if (version.parentId === null || version.parentId === undefined || !ids.has(version.parentId)) {
+            roots.push(index);
+        } else {
+            if (!children.has(version.parentId)) children.set(version.parentId, []);
+            children.get(version.parentId).push(index);
+        }
+    });
+
+    const rows = [];
+    const visit = (index, depth, isBranch) => {
+        rows.push({ index, depth, isBranch });
+        const [first, ...alternatives] = children.get(versions[index].id) || [];
+        alternatives.forEach(child => visit(child, depth + 1, true));
+        if (first !== undefined) visit(first, depth, false);
+    };
+    roots.forEach((root, position) => visit(root, 0, position > 0));
+    return rows;
+};
+
 const VersionHistory = ({
     history,
     onRestore,
+    onCompare,
     className = ''
 }) => {
     const [isOpen, setIsOpen] = useState(false);
+    // Compare mode: clicking versions picks (up to) two instead of checking one out
+    const [comparing, setComparing] = useState(false);
+    const [picked, setPicked] = useState([]);
     const dropdownRef = useRef(null);
 
     useEffect(() => {
@@ -35,8 +65,37 @@ const VersionHistory = ({
         return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
     };
 
+    // Saved versions remember the edit prompt and the elements it targeted
+    // (older versions store a single `element`)
+    const targetsOf = (version) => version.elements || (version.element ? [version.element] : []);
+
+    const describeVersion = (version) => [
+        version.prompt && version.prompt !== version.description ? version.prompt : '',
+        ...targetsOf(version).map(target => `On <${target.tagName}${target.classes ? ` class="${target.classes}"` : ''}>`)
+    ].filter(Boolean).join('\n');
+
+    const togglePicked = (index) => {
+        setPicked(prev => (prev.includes(index) ? prev.filter(item => item !== index) : [...prev, index].slice(-2)));
+    };
+
+    const startCompare = () => {
+        const [a, b] = [...picked].sort((x, y) => x - y);
+        onCompare({ a, b });
+        setComparing(false);
+        setPicked([]);
+        setIsOpen(false);
+    };
+
     if (!history || !history.versions) return null;
 
+    // Versions leading to the current one are highlighted
+    const currentPath = new Set();
+    for (let version = history.versions[history.currentIndex]; version;) {
+        currentPath.add(version.id);
+        const parentId = version.parentId;
+        version = history.versions.find(candidate => candidate.id === parentId);
+    }
+
     return (
         <div className={`version-history-container ${className}`} ref={dropdownRef}>
             <button
@@ -50,31 +109,72 @@ const VersionHistory = ({
 
             {isOpen && (
                 <div className="version-history-dropdown">
-                    <div className="version-history-header">History</div>
+                    <div className="version-history-header">
+                        <span>{comparing ? 'Pick two versions' : 'Version tree'}</span>
+                        {onCompare && history.versions.length > 1 && (
+                            <button
+                                type="button"
+                                className={`version-compare-toggle ${comparing ? 'active' : ''}`}
+                                onClick={() => {
+                                    setComparing(!comparing);
+                                    setPicked([]);
+                                }}
+                            >
+                                {comparing ? 'Cancel' : 'Compare'}
+                            </button>
+                        )}
+                    </div>
                     <div className="version-history-list">
-                        {[...history.versions].reverse().map((version, reverseIndex) => {
-                            // Calculate actual index since we reversed the mapping
-                            const index = history.versions.length - 1 - reverseIndex;
+                        {buildTreeRows(history.versions).map(({ index, depth, isBranch }) => {
+                            const version = history.versions[index];
                             const isActive = index === history.currentIndex;
+                            const onPath = currentPath.has(version.id);
+                            const isPicked = picked.includes(index);
 
                             return (
                                 <button
                                     key={version.id}
-                                    className={`version-item ${isActive ? 'active' : ''}`}
+                                    className={`version-item ${isActive ? 'active' : ''} ${onPath ? 'on-path' : ''} ${isPicked ? 'picked' : ''}`}
+                                    style={{ paddingLeft: 12 + Math.min(depth, 6) * 14 }}
+                                    title={describeVersion(version) || undefined}
                                     onClick={() => {
+                                        if (comparing) {
+                                            togglePicked(index);
+                                            return;
+                                        }
                                         onRestore(index);
                                         setIsOpen(false);
                                     }}
                                 >
                                     <div className="version-info">
-                                        <span className="version-desc">{version.description}</span>
+                                        <span className="version-desc">
+                                            {isBranch && <span className="version-branch" aria-label="Branch">⎇ </span>}
+                                            {version.description}
+                                        </span>
+                                        {targetsOf(version).length > 0 && (
+                                            <span className="version-element">
+                                                &lt;{targetsOf(version)[0].tagName}&gt;{targetsOf(version).length > 1 ? ` +${targetsOf(version).length - 1}` : ''}
+                                            </span>
+                                        )}
                                         <span className="version-time">{formatTime(version.timestamp)}</span>
                                     </div>
-                                    {isActive && <span className="version-check">✓</span>}
+                                    {comparing
+                                        ? isPicked && <span className="version-check">{picked.indexOf(index) + 1}</span>
+                                        : isActive && <span className="version-check">✓</span>}
                                 </button>
                             );
                         })}
                     </div>
+                    {comparing && (
+                        <button
+                            type="button"
+                            className="version-compare-start"
+                            onClick={startCompare}
+                            disabled={picked.length !== 2}
+                        >
+                            Compare {picked.length}/2 versions
+                        </button>
+                    )}
                 </div>
             )}
         </div>
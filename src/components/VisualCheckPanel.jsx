@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+
+// "Auto-fix" runs one fix pass when the match is below this
+export const AUTO_FIX_BELOW_SIMILARITY = 90;
+
+/**
+ * VisualCheckPanel - Design vs. rendered output, from the 'visual-check' IPC.
+ * `result` is { success, screenshot, heatmap, score: { similarity, ssim, mismatch }, critique, critiqueError }.
+ * The parent runs the check and the fix; this component only displays them.
+ */
+const VisualCheckPanel = ({
+  designImage,
+  result,
+  status = 'idle', // 'idle' | 'checking' | 'fixing'
+  onRun,
+  onFix,
+  autoFix,
+  onAutoFixChange
+}) => {
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const isBusy = status !== 'idle';
+  const score = result?.success ? result.score : null;
+  const scoreClass = !score ? '' : score.similarity >= AUTO_FIX_BELOW_SIMILARITY ? 'good' : score.similarity >= 70 ? 'fair' : 'poor';
+
+  return (
+    <div className="visual-check">
+      <div className="visual-check-toolbar">
+        {onRun && (
+          <button type="button" className="visual-check-run" onClick={onRun} disabled={isBusy || !designImage}>
+            {status === 'checking' ? 'Comparing…' : result ? '↻ Re-check' : 'Compare with design'}
+          </button>
+        )}
+        {score && (
+          <span
+            className={`visual-check-score ${scoreClass}`}
+            title={`Structural similarity ${(score.ssim * 100).toFixed(1)}% · ${(score.mismatch * 100).toFixed(1)}% of pixels differ`}
+          >
+            {score.similarity}% match
+          </span>
+        )}
+        {result?.success && (
+          <label className="visual-check-toggle">
+            <input type="checkbox" checked={showHeatmap} onChange={e => setShowHeatmap(e.target.checked)} />
+            Heatmap
+          </label>
+        )}
+        {onAutoFixChange && (
+          <label className="visual-check-toggle" title={`Run one fix pass automatically when the match is below ${AUTO_FIX_BELOW_SIMILARITY}%`}>
+            <input type="checkbox" checked={Boolean(autoFix)} onChange={e => onAutoFixChange(e.target.checked)} />
+            Auto-fix
+          </label>
+        )}
+      </div>
+
+      {!designImage && (
+        <div className="visual-check-empty">Upload a design image to compare the output against it.</div>
+      )}
+      {result && !result.success && !result.cancelled && (
+        <div className="visual-check-error">{result.error || 'Visual check failed.'}</div>
+      )}
+
+      {result?.success && (
+        <>
+          <div className="visual-check-images">
+            <figure>
+              <figcaption>Design</figcaption>
+              <img src={designImage} alt="Design" />
+            </figure>
+            <figure>
+              <figcaption>{showHeatmap ? 'Differences' : 'Rendered'}</figcaption>
+              <img src={showHeatmap ? result.heatmap : result.screenshot} alt={showHeatmap ? 'Difference heatmap' : 'Rendered output'} />
+            </figure>
+          </div>
+
+          {result.critique && (
+            <div className="visual-check-critique">
+              <div className="visual-check-critique-label">Differences spotted by the vision model</div>
+              <div className="visual-check-critique-text">{result.critique}</div>
+            </div>
+          )}
+          {result.critiqueError && (
+            <div className="visual-check-error">Vision critique unavailable: {result.critiqueError}</div>
+          )}
+
+          {onFix && result.critique && (
+            <button type="button" className="visual-check-fix" onClick={() => onFix(result.critique)} disabled={isBusy}>
+              {status === 'fixing' ? 'Fixing differences…' : '✨ Fix differences'}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VisualCheckPanel;
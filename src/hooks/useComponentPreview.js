@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * useComponentPreview
+ * Builds the preview document for a React, Vue or Svelte component in the main process
+ * (electron/previewBundler.js), so its project imports, CSS and vendored
+ * packages resolve instead of being stripped.
+ *
+ * @param {Object} options
+ * @param {string} options.code Component source (may be unsaved)
+ * @param {string} options.filePath Where the component lives or will be saved; relative imports resolve from here
+ * @param {string} options.folderPath Open project folder
+ * @param {string} [options.language] Component language; picks the compiler when filePath is unset
+ * @param {boolean} options.enabled Skip bundling (e.g. for HTML output)
+ * @param {boolean} [options.instrument] Tag elements with data-source-loc for the inspector (electron/sourceLocations.js)
+ * @returns {string} srcdoc HTML, empty until the first bundle arrives
+ */
+export const useComponentPreview = ({ code, filePath, folderPath, language, enabled = true, instrument = false }) => {
+    const [html, setHtml] = useState('');
+
+    useEffect(() => {
+        if (!enabled || !code || !window.editorAPI?.bundleComponentPreview) {
+            setHtml('');
+            return undefined;
+        }
+
+        // Ignore responses for code that has since changed
+        let stale = false;
+        window.editorAPI.bundleComponentPreview({ code, filePath, folderPath, language, instrument })
+            .then(result => {
+                if (!stale) setHtml(result?.html || '');
+            })
+            .catch(() => {
+                if (!stale) setHtml('');
+            });
+
+        return () => {
+            stale = true;
+        };
+    }, [code, filePath, folderPath, language, enabled, instrument]);
+
+    return html;
+};
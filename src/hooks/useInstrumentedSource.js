@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * useInstrumentedSource
+ * HTML output is previewed straight from its code; this returns the code with every
+ * element tagged with data-source-loc (electron/sourceLocations.js) so the inspector
+ * can map clicks back to the source. Falls back to the plain code until the tagged
+ * version for the current code arrives, or outside Electron.
+ *
+ * @param {Object} options
+ * @param {string} options.code Source to tag
+ * @param {string} options.language Component language; picks the parser
+ * @param {boolean} options.enabled Skip tagging (e.g. for bundled components)
+ * @returns {string} Tagged code, or `code` itself
+ */
+export const useInstrumentedSource = ({ code, language, enabled = true }) => {
+    const [instrumented, setInstrumented] = useState({ code: '', result: '' });
+
+    useEffect(() => {
+        if (!enabled || !code || !window.editorAPI?.instrumentSource) return undefined;
+
+        let stale = false;
+        window.editorAPI.instrumentSource({ code, language })
+            .then(res => {
+                if (!stale && res?.success) setInstrumented({ code, result: res.code });
+            })
+            .catch(() => {});
+
+        return () => {
+            stale = true;
+        };
+    }, [code, language, enabled]);
+
+    return enabled && instrumented.code === code ? instrumented.result : code;
+};
@@ -0,0 +1,95 @@
+import { useEffect, useRef, useState } from 'react';
+import { useVersionHistory } from './useVersionHistory.js';
+
+// Saved versions carry the code as `code`; in memory it is `data` (see useVersionHistory)
+const fromSaved = ({ code, ...version }) => ({ ...version, data: code });
+const toSaved = ({ data, ...version }) => ({ ...version, code: data });
+
+/**
+ * usePersistedVersionHistory
+ * useVersionHistory for a component file, saved to .visualise/history/ in the
+ * project (see 'load-component-history' / 'save-component-history' in main.js)
+ * so edits survive reloads and reopening the component.
+ *
+ * @param {Object} options
+ * @param {string|number} options.componentKey Changes whenever a different component is shown
+ * @param {string} options.code The component's current code; starts a new history when nothing is saved
+ * @param {string} options.filePath Component file; without it the history stays in memory
+ * @param {string} options.folderPath Open project folder
+ * @param {string} options.initialDescription Description of the first version of a new history
+ * @returns {Object} Everything useVersionHistory returns, plus `loaded`
+ */
+export const usePersistedVersionHistory = ({ componentKey, code, filePath, folderPath, initialDescription = 'Initial' }) => {
+    const history = useVersionHistory(null, initialDescription);
+    const { versions, currentIndex, reset, load } = history;
+    const [loadedKey, setLoadedKey] = useState(null);
+    // Only write once there is something worth keeping (or a saved file to keep up to date)
+    const persistRef = useRef(false);
+    const codeRef = useRef(code);
+    codeRef.current = code;
+
+    // Load the saved history whenever a different component is shown; once it is loaded
+    // (loadedKey === componentKey) later runs stop at the first check
+    useEffect(() => {
+        if (!componentKey || componentKey === loadedKey) return undefined;
+
+        let stale = false;
+        const startFresh = () => {
+            persistRef.current = false;
+            reset(codeRef.current, initialDescription);
+            setLoadedKey(componentKey);
+        };
+
+        if (!filePath || !folderPath || !window.editorAPI?.loadComponentHistory) {
+            startFresh();
+            return undefined;
+        }
+
+        window.editorAPI.loadComponentHistory({ folderPath, filePath })
+            .then(res => {
+                if (stale) return;
+                if (!res?.success || !res.history) {
+                    startFresh();
+                    return;
+                }
+
+                const saved = res.history.versions.map(fromSaved);
+                let index = res.history.currentIndex;
+                // The file was changed somewhere else since the history was saved
+                if (saved[index]?.data !== codeRef.current) {
+                    saved.push({
+                        id: Date.now(),
+                        parentId: saved[index]?.id ?? null,
+                        timestamp: Date.now(),
+                        description: 'Changed outside the editor',
+                        data: codeRef.current
+                    });
+                    index = saved.length - 1;
+                }
+                persistRef.current = true;
+                load(saved, index);
+                setLoadedKey(componentKey);
+            })
+            .catch(() => {
+                if (!stale) startFresh();
+            });
+
+        return () => {
+            stale = true;
+        };
+    }, [componentKey, loadedKey, filePath, folderPath, reset, load, initialDescription]);
+
+    // Save after every change to the loaded history
+    useEffect(() => {
+        if (loadedKey !== componentKey || !filePath || !folderPath || !window.editorAPI?.saveComponentHistory) return;
+        if (!persistRef.current && versions.length < 2) return;
+        persistRef.current = true;
+        window.editorAPI.saveComponentHistory({ folderPath, filePath, versions: versions.map(toSaved), currentIndex })
+            .catch(err => {
+                // eslint-disable-next-line no-console
+                console.error('Failed to save version history:', err);
+            });
+    }, [versions, currentIndex, loadedKey, componentKey, filePath, folderPath]);
+
+    return { ...history, loaded: loadedKey === componentKey };
+};
@@ -1,9 +1,29 @@
 
 import { useState, useCallback, useMemo } from 'react';
 
+// Older (linear) histories have no parentId: each version follows the previous one
+const withParents = versions => versions.map((version, index) => (
+    version.parentId === undefined
+        ? { ...version, parentId: index > 0 ? versions[index - 1].id : null }
+        : version
+));
+
+// Index of the current version's parent, or -1 at a root
+const parentIndexOf = ({ versions, currentIndex }) =>
+    versions.findIndex(version => version.id === versions[currentIndex]?.parentId);
+
+// Children are in creation order, so the last one is the newest; -1 at a leaf
+const childIndexOf = ({ versions, currentIndex }) => versions.reduce(
+    (found, version, index) => (version.parentId === versions[currentIndex]?.id ? index : found),
+    -1
+);
+
 /**
  * useVersionHistory
- * Manages a linear history of states with undo/redo capabilities.
+ * Manages a tree of states: every version records its `parentId`, and a new
+ * version branches off whichever version is current, so restoring an old
+ * version and editing it never discards the newer ones. `versions` is the flat
+ * list of nodes in creation order; undo goes to the parent, redo to the newest child.
  * 
  * @param {any} initialData The initial state data
  * @param {string} initialDescription Description for the initial state
@@ -16,67 +36,88 @@ import { useState, useCallback, useMemo } from 'react';
  *   redo,
  *   canUndo,
  *   canRedo,
- *   reset
+ *   reset,
+ *   load
  * }
  */
 export const useVersionHistory = (initialData, initialDescription = 'Initial') => {
-    const [versions, setVersions] = useState([
-        {
+    // Versions and the current index change together, so they share one state:
+    // every update sees the other half as it is, even between renders
+    const [history, setHistory] = useState(() => ({
+        versions: [{
             id: 0,
+            parentId: null,
             timestamp: Date.now(),
             description: initialDescription,
             data: initialData
-        }
-    ]);
-    const [currentIndex, setCurrentIndex] = useState(0);
+        }],
+        currentIndex: 0
+    }));
+    const { versions, currentIndex } = history;
 
-    const addVersion = useCallback((data, description) => {
-        setVersions(prev => {
-            // Truncate future if we branch off
-            const history = prev.slice(0, currentIndex + 1);
+    // `details` is extra context kept with the version, e.g. { prompt, element }
+    const addVersion = useCallback((data, description, details = {}) => {
+        setHistory(prev => {
+            // Branch off the current version; nothing is ever dropped
             const newVersion = {
-                id: Date.now(),
+                ...details,
+                id: Math.max(Date.now(), ...prev.versions.map(version => version.id + 1)),
+                parentId: prev.versions[prev.currentIndex]?.id ?? null,
                 timestamp: Date.now(),
                 description,
                 data
             };
-            return [...history, newVersion];
+            return { versions: [...prev.versions, newVersion], currentIndex: prev.versions.length };
         });
-        setCurrentIndex(prev => prev + 1);
-    }, [currentIndex]);
+    }, []);
 
     const goToVersion = useCallback((index) => {
-        if (index >= 0 && index < versions.length) {
-            setCurrentIndex(index);
-        }
-    }, [versions.length]);
+        setHistory(prev => (index >= 0 && index < prev.versions.length ? { ...prev, currentIndex: index } : prev));
+    }, []);
+
+    const parentIndex = parentIndexOf(history);
+    const childIndex = childIndexOf(history);
 
     const undo = useCallback(() => {
-        if (currentIndex > 0) {
-            setCurrentIndex(prev => prev - 1);
-        }
-    }, [currentIndex]);
+        setHistory(prev => {
+            const index = parentIndexOf(prev);
+            return index !== -1 ? { ...prev, currentIndex: index } : prev;
+        });
+    }, []);
 
     const redo = useCallback(() => {
-        if (currentIndex < versions.length - 1) {
-            setCurrentIndex(prev => prev + 1);
-        }
-    }, [currentIndex, versions.length]);
+        setHistory(prev => {
+            const index = childIndexOf(prev);
+            return index !== -1 ? { ...prev, currentIndex: index } : prev;
+        });
+    }, []);
 
     const reset = useCallback((data, description = 'Initial') => {
-        setVersions([{
-            id: Date.now(),
-            timestamp: Date.now(),
-            description,
-            data
-        }]);
-        setCurrentIndex(0);
+        setHistory({
+            versions: [{
+                id: Date.now(),
+                parentId: null,
+                timestamp: Date.now(),
+                description,
+                data
+            }],
+            currentIndex: 0
+        });
+    }, []);
+
+    // Replace the whole history, e.g. with one saved to disk
+    const load = useCallback((savedVersions, savedIndex) => {
+        if (!savedVersions || savedVersions.length === 0) return;
+        setHistory({
+            versions: withParents(savedVersions),
+            currentIndex: Math.min(Math.max(savedIndex, 0), savedVersions.length - 1)
+        });
     }, []);
 
     const currentVersion = useMemo(() => versions[currentIndex], [versions, currentIndex]);
 
-    const canUndo = currentIndex > 0;
-    const canRedo = currentIndex < versions.length - 1;
+    const canUndo = parentIndex !== -1;
+    const canRedo = childIndex !== -1;
 
     return {
         currentVersion,
@@ -88,6 +129,7 @@ export const useVersionHistory = (initialData, initialDescription = 'Initial') =
         redo,
         canUndo,
         canRedo,
-        reset
+        reset,
+        load
     };
 };